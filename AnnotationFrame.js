@@ -31,6 +31,13 @@
 #include <pjsr/CheckState.jsh>     // needed to instantiate the CheckBox objects
 #include <pjsr/NumericControl.jsh> // needed to instantiate the NumericControl control
 #include <pjsr/FontFamily.jsh>
+#include <pjsr/UndoFlag.jsh>       // needed to modify the preview image without a swap file
+#include <pjsr/ColorComboBox.jsh>  // needed to instantiate the ColorComboBox control
+#include <pjsr/DataType.jsh>       // needed to read and write presets with the Settings object
+#include <pjsr/StdButton.jsh>      // needed for the buttons of message boxes
+#include <pjsr/StdIcon.jsh>        // needed for the icons of message boxes
+#include <pjsr/PropertyType.jsh>   // needed to store the settings as XISF property
+#include <pjsr/PropertyAttribute.jsh>
 
 
 // constants to define frame geometry (using global var since PixInSight has problems with global consts
@@ -39,75 +46,344 @@ var frameHeightIncPerc = 25;
 var verticalImageOffset = 50;
 var verticalImageFactor = 0.5;
 var lineDistance = 0.9;
+var maxLinesPerColumn = 8;
 
 
 var annotationFrameParameters = {
    imageView: undefined,
    titleText: "Image Title",
-   bottomLeftText1: "",
-   bottomLeftText2: "",
-   bottomLeftText3: "",
-   bottomCenterText1: "",
-   bottomCenterText2: "",
-   bottomCenterText3: "",
-   bottomRightText1: "",
-   bottomRightText2: "",
-   bottomRightText3: "",
+   subtitleText: "",                //optional second line below the title
+   //texts of the bottom columns, one entry per line up to maxLinesPerColumn
+   bottomText: {
+      left: ["", "", "", "", "", "", "", ""],
+      center: ["", "", "", "", "", "", "", ""],
+      right: ["", "", "", "", "", "", "", ""]
+   },
+   //number of lines of each bottom column (1 to maxLinesPerColumn)
+   linesPerColumn: {left: 3, center: 3, right: 3},
+   //text styles of the bottom lines, one entry per line, see fieldStyle
+   fieldStyles: {
+      left: defaultFieldStyles(),
+      center: defaultFieldStyles(),
+      right: defaultFieldStyles()
+   },
    nrOfColumns: 3,
    leftColumn: true,
    centerColumn: true,
-   rightColumn: true
+   rightColumn: true,
+   frameStyle: "default",
+   createNewImage: false,           //leave the target image untouched
+   newImageIdPattern: "{id}_framed", //{id} is replaced by the id of the target image
+   autoFitFonts: false,             //reduce font sizes of texts that do not fit
+   autoFitSameSize: false,          //use the same reduced font size for all columns
+   logoSource: "",                  //file path or id of an open view, empty for no logo
+   logoSlot: "topRight",            //id of logoSlots
+   logoScale: 60,                   //height of the logo in % of the bottom bar height
+   logoTint: "none",                //id of logoTints
+   coordinateTicks: false,          //draw RA/Dec ticks around a plate solved image
+   scaleBarSlot: "none",            //id of logoSlots or "none" to leave out the scale bar
+   compassSlot: "none",             //id of logoSlots or "none" to leave out the compass
+   legendSlot: "none",              //id of logoSlots or "none" to leave out the legend
+   //filters of the legend with swatch color and integration time, empty filters are not shown
+   legend: [
+      {filter: "", color: 0xFFFF0000, time: ""},
+      {filter: "", color: 0xFF00FF00, time: ""},
+      {filter: "", color: 0xFF0000FF, time: ""},
+      {filter: "", color: 0xFFFFFFFF, time: ""}
+   ]
+}
+
+//settings of the batch framing, see runBatch
+var batchParameters = {
+   files: [],                       //paths of the images to be framed
+   outputDirectory: "",             //empty to save each result next to its image
+   fileNamePattern: "{name}_framed",//{name} is replaced by the file name without extension
+   outputExtension: ".xisf",        //empty to keep the file format of each image
+   overwritePolicy: "rename"        //id of overwritePolicies
+}
+
+//renditions written by exportRenditions when the image is framed
+   //label: name shown in the dialog
+   //width, height: size of fixed aspect renditions in pixels, 0 to keep the aspect ratio
+   //longEdge: maximum length of the long edge in pixels, 0 for full resolution
+   //extension: file format
+   //bitDepth: 8, 16 or 32 (floating point) bits per sample, JPEG files have 8 bits
+   //quality: JPEG quality from 1 to 100
+   //pathPattern: file name, {id} is replaced by the id of the target image
+var exportSettings = {
+   enabled: false,
+   directory: "",    //empty to save the renditions next to the image file
+   renditions: [
+      {label: "Full resolution", enabled: true, width: 0, height: 0, longEdge: 0,
+         extension: ".tif", bitDepth: 16, quality: 100, pathPattern: "{id}_framed"},
+      {label: "2048 px long edge", enabled: true, width: 0, height: 0, longEdge: 2048,
+         extension: ".jpg", bitDepth: 8, quality: 90, pathPattern: "{id}_2048"},
+      {label: "Instagram portrait 1080\u00D71350", enabled: false, width: 1080, height: 1350,
+         longEdge: 0, extension: ".jpg", bitDepth: 8, quality: 90, pathPattern: "{id}_1080x1350"},
+      {label: "Wallpaper 1920\u00D71080", enabled: false, width: 1920, height: 1080,
+         longEdge: 0, extension: ".jpg", bitDepth: 8, quality: 90, pathPattern: "{id}_1920x1080"}
+   ]
+};
+
+//settings of the print layout, see applyPrintLayout
+var printSettings = {
+   enabled: false,
+   paper: "A4",            //id of paperSizes
+   customWidth: 210,       //size of the custom paper in millimeters
+   customHeight: 297,
+   dpi: 300,
+   bleed: 0,               //bleed margin around the paper in millimeters
+   cropMarks: false,       //draw crop marks into the bleed margin
+   minFontSize: 6          //smallest font size in points that is readable in print
+};
+
+//paper sizes of the print layout in millimeters, portrait orientation
+var paperSizes = [
+   {id: "A4", label: "A4 (210 \u00D7 297 mm)", width: 210, height: 297},
+   {id: "A3", label: "A3 (297 \u00D7 420 mm)", width: 297, height: 420},
+   {id: "8x10", label: "8 \u00D7 10 in", width: 203.2, height: 254},
+   {id: "12x18", label: "12 \u00D7 18 in", width: 304.8, height: 457.2},
+   {id: "custom", label: "Custom", width: 0, height: 0}
+];
+
+//file extensions of images that are framed in batch mode
+var batchExtensions = [".xisf", ".fit", ".fits", ".fts", ".tif", ".tiff", ".jpg", ".jpeg"];
+
+//file formats of the batch results
+   //extension: file extension, empty to keep the format of the image
+   //label: name shown in the dialog
+var batchOutputFormats = [
+   {extension: "", label: "Same as input"},
+   {extension: ".xisf", label: "XISF"},
+   {extension: ".fits", label: "FITS"},
+   {extension: ".tif", label: "TIFF"},
+   {extension: ".jpg", label: "JPEG"}
+];
+
+//handling of existing result files
+var overwritePolicies = [
+   {id: "rename", label: "Add a number to the file name"},
+   {id: "overwrite", label: "Overwrite existing files"},
+   {id: "skip", label: "Skip existing files"}
+];
+
+//bottom columns
+   //block: column id as used in annotationFrameParameters
+   //name: column name as used in FITS keywords and the dialog
+var columnBlocks = [
+   {block: "left", name: "Left"},
+   {block: "center", name: "Center"},
+   {block: "right", name: "Right"}
+];
+
+//catalogue of frame styles drawn by addFrameStyle
+   //id: style identifier as stored in the FITS header
+   //label: name shown in the dialog
+   //innerLines: thickness of the lines around the image in units of innerLineWidth
+   //borderFactor: width of the frame left and right of the image relative to the
+   //frame width setting
+   //frameColor, lineColor, textColor: default colors of the style as 0xAARRGGBB
+var frameStyles = [
+   {id: "default", label: "Default", innerLines: 1, borderFactor: 1,
+      frameColor: 0xFF000000, lineColor: 0xFFFFFFFF, textColor: 0xFFC0C0C0},
+   {id: "gallery", label: "Gallery mat", innerLines: 1, borderFactor: 4,
+      frameColor: 0xFFEDE8DB, lineColor: 0xFF333333, textColor: 0xFF404040},
+   {id: "double", label: "Double line", innerLines: 3, borderFactor: 1,
+      frameColor: 0xFF000000, lineColor: 0xFFFFFFFF, textColor: 0xFFC0C0C0},
+   {id: "noline", label: "No inner line", innerLines: 0, borderFactor: 1,
+      frameColor: 0xFF000000, lineColor: 0xFFFFFFFF, textColor: 0xFFC0C0C0},
+   {id: "keyline", label: "Thick coloured keyline", innerLines: 3, borderFactor: 1,
+      frameColor: 0xFF000000, lineColor: 0xFFCCA64D, textColor: 0xFFCCA64D},
+   {id: "shadow", label: "Drop shadow", innerLines: 0, borderFactor: 1,
+      frameColor: 0xFF333333, lineColor: 0xFFFFFFFF, textColor: 0xFFC0C0C0}
+];
+
+//places of the logo, the scale bar and the compass, see slotPosition
+   //id: slot identifier as stored in the FITS header
+   //label: name shown in the dialog
+var logoSlots = [
+   {id: "left", label: "Bottom bar, left"},
+   {id: "center", label: "Bottom bar, center"},
+   {id: "right", label: "Bottom bar, right"},
+   {id: "topLeft", label: "Top left corner"},
+   {id: "topRight", label: "Top right corner"},
+   {id: "bottomLeft", label: "Bottom left corner"},
+   {id: "bottomRight", label: "Bottom right corner"}
+];
+
+//items drawn into the slots of logoSlots in drawing order, one item per slot
+   //parameter: parameter of annotationFrameParameters holding the slot
+   //name: name used in messages
+   //draw: function(imageView) drawing the item
+var slotItems = [
+   {parameter: "logoSlot", name: "logo", draw: addLogo},
+   {parameter: "scaleBarSlot", name: "scale bar", draw: addScaleBar},
+   {parameter: "compassSlot", name: "compass", draw: addCompass},
+   {parameter: "legendSlot", name: "filter legend", draw: addLegend}
+];
+
+//filters and swatch colors of common palettes, see legendDialog
+var legendPalettes = [
+   {id: "SHO", label: "SHO (Hubble palette)", entries: [
+      {filter: "SII", color: 0xFFFF0000},
+      {filter: "H\u03B1", color: 0xFF00FF00},
+      {filter: "OIII", color: 0xFF0000FF}]},
+   {id: "HOO", label: "HOO", entries: [
+      {filter: "H\u03B1", color: 0xFFFF0000},
+      {filter: "OIII", color: 0xFF00FFFF}]},
+   {id: "LRGB", label: "LRGB", entries: [
+      {filter: "L", color: 0xFFFFFFFF},
+      {filter: "R", color: 0xFFFF0000},
+      {filter: "G", color: 0xFF00FF00},
+      {filter: "B", color: 0xFF0000FF}]}
+];
+
+//colors the logo can be tinted with, see logoTintColor
+var logoTints = [
+   {id: "none", label: "Original colors"},
+   {id: "frame", label: "Frame color"},
+   {id: "line", label: "Inner line color"},
+   {id: "text", label: "Text color"}
+];
+
+//logo file loaded by loadLogoImage, kept to avoid reading the file for every preview
+var logoCache = {source: "", image: undefined};
+
+//colors of the frame as 0xAARRGGBB
+var frameColors = {
+   outerFrame: 0xFF000000,
+   innerLine: 0xFFFFFFFF
 }
 
 var allDimensions = {
    //all value 0 variables will be overwritten by calculateAllDimensions
    imageWidth: 0,
    imageHeight: 0,
-   innerFrameThickness: 10,
+   innerLineWidth: 10,
+   innerFrameThickness: 0,
    framedImageWidth: 0,
    framedImageHeight: 0,
    outerFrameWidth: 0,
    outerFrameHeight: 0,
    titleBarHeight: 0,
-   bottomBarHeight: 0
+   bottomBarHeight: 0,
+   topPadding: 0,       //space above the title bar of fixed aspect layouts
+   bottomPadding: 0,    //space below the bottom bar of fixed aspect layouts
+   frameCenterY: 0.5,   //vertical center of outer frame relative to framed image
+   lineSpacing: 0,      //vertical distance between bottom text lines
+   tickLength: 0,       //length of the RA/Dec ticks
+   tickFontSize: 0,     //font size of the RA/Dec labels
+   tickBand: 0          //space for ticks and labels above and below the framed image
 }
 
 var titleFont = {
    //will be populated by function calculateFonts
    fontName: "Helvetica",
-   fontColor: 0xFFFFFF,
+   fontColor: 0xFFC0C0C0,
    fontSizeFactor: 0.3,
+   bold: false,
+   italic: false,
+   letterSpacing: 0,    //additional space between characters in percent of the font size
+   fontSize: 0
+}
+
+var subtitleFont = {
+   //will be populated by function calculateFonts, drawn in the title color
+   fontName: "Helvetica",
+   sizeRatio: 0.6,      //font size relative to the title font size
+   bold: false,
+   italic: false,
+   letterSpacing: 0,    //additional space between characters in percent of the font size
    fontSize: 0
 }
 
+//shortcuts of the text markup for astronomical symbols, written as \Ha, see parseMarkup
+var markupSymbols = {
+   Ha: "H\u03B1", Hb: "H\u03B2", OIII: "[O III]", OII: "[O II]", SII: "[S II]",
+   NII: "[N II]", alpha: "\u03B1", beta: "\u03B2", lambda: "\u03BB", mu: "\u00B5",
+   deg: "\u00B0", arcmin: "\u2032", arcsec: "\u2033", pm: "\u00B1", times: "\u00D7",
+   approx: "\u2248", sun: "\u2609"
+};
+
+//font size of superscripts and subscripts relative to the font size of the text
+var scriptSizeFactor = 0.65;
+
+//font size of title and subtitle together relative to a title without subtitle
+var titleGroupFactor = 1.5;
+
 var bottomFont = {
-   //will be populated by function calculateFonts
+   //will be populated by function calculateFonts,
+   //the style of all bottom lines that do not have their own style
    fontName: "Helvetica",
-   fontColor: 0xFFFFFF,
+   fontColor: 0xFFC0C0C0,
    fontSizeFactor: 0.36,
+   bold: false,
+   italic: false,
+   shadow: false,       //dark shadow to the lower right of the text
+   letterSpacing: 0,    //additional space between characters in percent of the font size
    fontSize: 0
 }
 
-var renderWindow = undefined;
+//shadow of texts drawn with the shadow option, see drawText
+var textShadow = {
+   color: 0xA0000000,   //color as 0xAARRGGBB
+   offset: 0.06         //distance to the text in units of the font size
+};
+
+//keys of the presets in the PixInsight settings
+var settingsKeys = {
+   presets: "AnnotationFrame/presets",             //JSON object of all presets by name
+   defaultPreset: "AnnotationFrame/defaultPreset"  //name of the preset loaded at start
+};
+
+//settings record stored in the image, see writeValuesToFITSHeader
+var settingsRecord = {
+   property: "AnnotationFrame:Settings",  //XISF property with the record as JSON
+   keyword: "AFRAME",                     //FITS keyword, continued by CONTINUE keywords
+   version: 2                             //version 1 are the AF_ keywords of v0.31
+};
+
+//length of the longest edge of the downscaled image used for the preview
+var previewSize = 800;
 
 //global variable to hold FITS header
 var header = [];
 
+//size of the image the astrometric solution of the header refers to,
+//the image may be resampled later by the preview or the print layout,
+//0 if the image still has a frame added before by this script
+var wcsImageSize = {width: 0, height: 0};
+
+//texts of a bottom column filled with astrometric information, see wcsPlaceholderValue
+var astrometryTemplates = [
+   "RA {WCS.RA}   Dec {WCS.DEC}",
+   "Field of view {WCS.FOV}",
+   "Pixel scale {WCS.SCALE}",
+   "Rotation {WCS.ROTATION}"
+];
+
 
 /*
  * calculateAllDimensions
  * calculates all dimensions used to frame and text rendering
  * PARAMETERS:
     * imageView: image id
+    * aspectRatio: width / height of the outer frame (optional, default is the
+      aspect ratio given by the frame settings)
  * RETURNS:
     * nothing
  */
-function calculateAllDimensions(imageView) {
+function calculateAllDimensions(imageView, aspectRatio) {
 
    //dimensions of image
    allDimensions.imageWidth = imageView.image.width;
    allDimensions.imageHeight = imageView.image.height;
 
+   //thickness of the lines around the image and width of the frame depend on frame style
+   var style = findFrameStyle(annotationFrameParameters.frameStyle);
+   var widthIncPerc = frameWidthIncPerc * style.borderFactor;
+   allDimensions.innerFrameThickness = allDimensions.innerLineWidth * style.innerLines;
+
    //dimensions of image including inner frame
    allDimensions.framedImageWidth =
       allDimensions.imageWidth + 2 * allDimensions.innerFrameThickness;
@@ -116,7 +392,7 @@ function calculateAllDimensions(imageView) {
 
    //dimensions of framed image
    allDimensions.outerFrameWidth = allDimensions.framedImageWidth *
-      (1 + frameWidthIncPerc / 100);
+      (1 + widthIncPerc / 100);
    allDimensions.outerFrameHeight = allDimensions.framedImageHeight *
       (1 + frameHeightIncPerc / 100);
 
@@ -126,9 +402,156 @@ function calculateAllDimensions(imageView) {
      (verticalImageFactor - 0.5) * allDimensions.framedImageHeight);
 
    //calculate vertical dimension of bottom bar
-   allDimensions.bottomBarHeight = Math.trunc(
+   //frame height and image placement define the bottom bar for 3 lines per column,
+   //the bottom bar grows or shrinks with the number of lines of the tallest column
+   var bottomLineHeight = Math.trunc(
       (allDimensions.outerFrameHeight/2 - allDimensions.framedImageHeight/2) -
-      (0.5 - verticalImageFactor) * allDimensions.framedImageHeight);
+      (0.5 - verticalImageFactor) * allDimensions.framedImageHeight) / 3;
+   var maxLines = maxLinesOfColumns();
+
+   allDimensions.bottomBarHeight = Math.trunc(bottomLineHeight * maxLines);
+   allDimensions.lineSpacing =
+      allDimensions.bottomBarHeight / maxLines * lineDistance;
+
+   //outer frame height including the bottom bar
+   allDimensions.outerFrameHeight = allDimensions.titleBarHeight +
+      allDimensions.framedImageHeight + allDimensions.bottomBarHeight;
+
+   //RA/Dec ticks and labels scale with the space left and right of the framed image,
+   //above and below the framed image a band of the same size is added
+   var sideMargin = allDimensions.framedImageWidth * widthIncPerc / 200;
+   allDimensions.tickLength = 0.25 * sideMargin;
+   allDimensions.tickFontSize = 0.35 * sideMargin;
+   allDimensions.tickBand = 0;
+   if (annotationFrameParameters.coordinateTicks)
+      allDimensions.tickBand =
+         Math.ceil(allDimensions.tickLength + 1.6 * allDimensions.tickFontSize);
+   allDimensions.outerFrameHeight += 2 * allDimensions.tickBand;
+
+   //a fixed aspect ratio widens the frame or adds space above and below the bars,
+   //title and bottom bar keep their size so the fonts do not change
+   allDimensions.topPadding = 0;
+   allDimensions.bottomPadding = 0;
+   if (aspectRatio != undefined) {
+      if (allDimensions.outerFrameWidth / allDimensions.outerFrameHeight < aspectRatio) {
+         allDimensions.outerFrameWidth = allDimensions.outerFrameHeight * aspectRatio;
+      }
+      else {
+         var padding = allDimensions.outerFrameWidth / aspectRatio -
+            allDimensions.outerFrameHeight;
+         allDimensions.topPadding = Math.trunc(padding / 2);
+         allDimensions.bottomPadding = Math.trunc(padding - allDimensions.topPadding);
+         allDimensions.outerFrameHeight +=
+            allDimensions.topPadding + allDimensions.bottomPadding;
+      }
+   }
+
+   //vertical center of the outer frame
+   allDimensions.frameCenterY =
+      (allDimensions.outerFrameHeight/2 - allDimensions.topPadding -
+       allDimensions.titleBarHeight - allDimensions.tickBand) /
+      allDimensions.framedImageHeight;
+}
+
+/*
+ * maxLinesOfColumns
+ * returns the number of lines of the tallest enabled bottom column
+ * PARAMETERS:
+    * nothing
+ * RETURNS:
+    * number of lines, 3 if no column is enabled
+ */
+function maxLinesOfColumns() {
+   var maxLines = 0;
+   var i, block;
+
+   for (i=0;i<columnBlocks.length;i++) {
+      block = columnBlocks[i].block;
+      if (annotationFrameParameters[block + "Column"])
+         maxLines = Math.max(maxLines,
+            annotationFrameParameters.linesPerColumn[block]);
+   }
+
+   if (maxLines == 0)
+      maxLines = 3;
+   return maxLines;
+}
+
+/*
+ * defaultFieldStyles
+ * returns the text styles of the lines of a bottom column without own styles
+ * PARAMETERS:
+    * nothing
+ * RETURNS:
+    * array of maxLinesPerColumn styles, see fieldStyle
+ */
+function defaultFieldStyles() {
+   var styles = [];
+   var line;
+
+   for (line=0;line<maxLinesPerColumn;line++) {
+      styles.push({sameAsColumn: true, fontName: "Helvetica", relativeSize: 1,
+         bold: false, italic: false, color: 0xFFC0C0C0, shadow: false});
+   }
+   return styles;
+}
+
+/*
+ * fieldStyle
+ * returns the text style of a bottom line, lines with sameAsColumn are drawn with the
+ * annotation font. The letter spacing is the same for all lines.
+ * PARAMETERS:
+    * block: "left", "center" or "right"
+    * line: 0 to maxLinesPerColumn - 1
+ * RETURNS:
+    * {fontName, relativeSize, bold, italic, color, shadow, letterSpacing}
+       * relativeSize: font size relative to the font size of the column
+       * color: text color as 0xAARRGGBB
+ */
+function fieldStyle(block, line) {
+   var style = annotationFrameParameters.fieldStyles[block][line];
+
+   if (style.sameAsColumn)
+      style = {fontName: bottomFont.fontName, relativeSize: 1, bold: bottomFont.bold,
+         italic: bottomFont.italic, color: bottomFont.fontColor, shadow: bottomFont.shadow};
+
+   return {fontName: style.fontName, relativeSize: style.relativeSize, bold: style.bold,
+      italic: style.italic, color: style.color, shadow: style.shadow,
+      letterSpacing: bottomFont.letterSpacing};
+}
+
+/*
+ * findFrameStyle
+ * returns the frame style with the given id from the catalogue frameStyles
+ * PARAMETERS:
+    * id: frame style id
+ * RETURNS:
+    * frame style, the default style if id is unknown
+ */
+function findFrameStyle(id) {
+   var i;
+   for (i=0;i<frameStyles.length;i++) {
+      if (frameStyles[i].id == id)
+         return frameStyles[i];
+   }
+   return frameStyles[0];
+}
+
+/*
+ * applyFrameStyleColors
+ * sets frame and text colors to the default colors of a frame style
+ * PARAMETERS:
+    * id: frame style id
+ * RETURNS:
+    * nothing
+ */
+function applyFrameStyleColors(id) {
+   var style = findFrameStyle(id);
+
+   frameColors.outerFrame = style.frameColor;
+   frameColors.innerLine = style.lineColor;
+   titleFont.fontColor = style.textColor;
+   bottomFont.fontColor = style.textColor;
 }
 
 /*
@@ -144,20 +567,29 @@ function calculateFonts() {
    titleFont.fontSize =
       allDimensions.titleBarHeight * titleFont.fontSizeFactor
 
+   //title and subtitle share the title bar
+   if (annotationFrameParameters.subtitleText.length > 0)
+      titleFont.fontSize =
+         titleFont.fontSize * titleGroupFactor / (1 + subtitleFont.sizeRatio);
+   subtitleFont.fontSize = titleFont.fontSize * subtitleFont.sizeRatio;
+
    //bottom font size calculations
    bottomFont.fontSize =
-      allDimensions.bottomBarHeight / 3 * bottomFont.fontSizeFactor
+      allDimensions.bottomBarHeight / maxLinesOfColumns() * bottomFont.fontSizeFactor
 }
 
 
 function calculateDisplacement(percentage) {
 
-   //calculate maximum displacement in pixels
-   var maxMovePixels =
-      allDimensions.outerFrameHeight - allDimensions.framedImageHeight;
+   //frame height without additional bottom lines relative to the framed image,
+   //so the displacement can be calculated before an image is selected
+   var frameHeight = 1 + frameHeightIncPerc / 100;
+
+   //calculate maximum displacement relative to the framed image
+   var maxMove = frameHeight - 1;
 
    //calculate maximum displacement factor
-   var maxMoveFactor = maxMovePixels / allDimensions.outerFrameHeight;
+   var maxMoveFactor = maxMove / frameHeight;
 
    //translate displacement percentage into image midpoint
    var moveFactor =
@@ -170,13 +602,16 @@ function calculateDisplacement(percentage) {
  * returns true if title fits horizontally, otherwise returns false
  * PARAMETERS:
     * titleString: title of the image
+    * font: titleFont or subtitleFont (optional, default is titleFont)
  * RETURNS:
     * true if title fits horizontally
     * false if title does not fit horizontally
 */
-function titleFits(titleString) {
+function titleFits(titleString, font) {
+   if (font == undefined)
+      font = titleFont;
 
-   if (renderTextDimensions(titleString, titleFont.fontName, titleFont.fontSize).length <
+   if (renderTextDimensions(titleString, font.fontName, font.fontSize, font).length <
       allDimensions.framedImageWidth) {
          return true;
       }
@@ -191,15 +626,22 @@ function titleFits(titleString) {
  * PARAMETERS:
     * titleString: text of the image
     * nrOfColumns: 1, 2 or 3
+    * style: text style of the line, see fieldStyle (optional, default is the annotation font)
  * RETURNS:
     * true if text fits horizontally
     * false if text does not fit horizontally
 */
-function textFits(text, nrOfColumns) {
+function textFits(text, nrOfColumns, style) {
+   var fontName = bottomFont.fontName;
+   var fontSize = bottomFont.fontSize;
+
+   if (style != undefined) {
+      fontName = style.fontName;
+      fontSize = fontSize * style.relativeSize;
+   }
 
-   if (renderTextDimensions(text, bottomFont.fontName, bottomFont.fontSize).length <
-      (allDimensions.framedImageWidth / nrOfColumns
-       - 0.02 * allDimensions.framedImageWidth)) {   //leave some space between columns
+   if (renderTextDimensions(text, fontName, fontSize, style).length <
+      columnWidth(nrOfColumns)) {
          return true;
       }
    else {
@@ -207,122 +649,422 @@ function textFits(text, nrOfColumns) {
    }
 }
 
+/*
+ * columnWidth
+ * returns the width available for the text of a bottom column
+ * PARAMETERS:
+    * nrOfColumns: 1, 2 or 3
+ * RETURNS:
+    * width in pixels
+*/
+function columnWidth(nrOfColumns) {
+   return allDimensions.framedImageWidth / nrOfColumns
+      - 0.02 * allDimensions.framedImageWidth;   //leave some space between columns
+}
 
 /*
- * createTextRenderWindow
- * creates a temporary image window to render text
+ * fitFontSize
+ * returns the largest font size up to fontSize at which all texts fit into a width
  * PARAMETERS:
-    * none
+    * texts: array of strings
+    * fontName: string
+    * fontSize: font size in pixels
+    * width: available width in pixels
+    * fontStyle: object with bold, italic and letterSpacing (optional)
  * RETURNS:
-    * imageWindow with title "temp_render"
+    * font size in pixels
 */
-function createTextRenderWindow() {
-   var P = new NewImage;
-   var width = allDimensions.framedImageWidth;
-   var height;
+function fitFontSize(texts, fontName, fontSize, width, fontStyle) {
+   var size = fontSize;
+   var i, length;
+
+   for (i=0;i<texts.length;i++) {
+      length = renderTextDimensions(texts[i], fontName, size, fontStyle).length;
+      if (length < width)
+         continue;
+
+      //text width is roughly proportional to font size, the rest is done by font hinting
+      size = size * width / length;
+      while ((size > 1) &&
+         (renderTextDimensions(texts[i], fontName, size, fontStyle).length >= width))
+         size = size * 0.98;
+   }
+   return size;
+}
 
-   if (allDimensions.titleBarHeight > (allDimensions.bottomBarHeight / 3)) {
-      height = allDimensions.titleBarHeight;
+/*
+ * fitFontSizes
+ * reduces the font sizes of title, subtitle and bottom columns so that all texts fit
+ * PARAMETERS:
+    * titleText: title
+    * subtitleText: subtitle
+    * columns: bottom columns (see getBottomColumns), fontSize is reduced if needed
+    * report: true to write the size reductions to the console
+ * RETURNS:
+    * {title, subtitle}: font sizes of title and subtitle in pixels
+*/
+function fitFontSizes(titleText, subtitleText, columns, report) {
+   var titleSize = fitFontSize([titleText], titleFont.fontName,
+      titleFont.fontSize, allDimensions.framedImageWidth, titleFont);
+   var subtitleSize = fitFontSize([subtitleText], subtitleFont.fontName,
+      subtitleFont.fontSize, allDimensions.framedImageWidth, subtitleFont);
+   var width = columnWidth(annotationFrameParameters.nrOfColumns);
+   var smallestSize = bottomFont.fontSize;
+   var i, line, style;
+
+   for (i=0;i<columns.length;i++) {
+      //the line that needs the largest reduction sets the font size of the column
+      columns[i].fontSize = bottomFont.fontSize;
+      for (line=0;line<columns[i].texts.length;line++) {
+         style = fieldStyle(columns[i].block, line);
+         columns[i].fontSize = Math.min(columns[i].fontSize,
+            fitFontSize([columns[i].texts[line]], style.fontName,
+               bottomFont.fontSize * style.relativeSize, width, style) / style.relativeSize);
+      }
+      smallestSize = Math.min(smallestSize, columns[i].fontSize);
    }
-   else {
-      height = allDimensions.bottomBarHeight / 3;
+
+   //keep lines of all columns visually consistent
+   if (annotationFrameParameters.autoFitSameSize) {
+      for (i=0;i<columns.length;i++)
+         columns[i].fontSize = smallestSize;
    }
 
-   P.id = "temp_render";
-   P.width = width + 100;  // add 100 pixels to be able to measure too long text
-   P.height = height;
-   P.numberOfChannels = 1;
-   P.colorSpace = NewImage.prototype.Grayscale;
-   P.sampleFormat = NewImage.prototype.f32;
-   P.v0 = 0.00000000;
-   P.v1 = 0.00000000;
-   P.v2 = 0.00000000;
-   P.va = 1.00000000;
+   if (report) {
+      if (titleSize < titleFont.fontSize)
+         Console.writeln("Title font size reduced from " +
+            titleFont.fontSize.toFixed(1) + " to " + titleSize.toFixed(1) +
+            " pixels to fit.");
+      if (subtitleSize < subtitleFont.fontSize)
+         Console.writeln("Subtitle font size reduced from " +
+            subtitleFont.fontSize.toFixed(1) + " to " + subtitleSize.toFixed(1) +
+            " pixels to fit.");
+      for (i=0;i<columns.length;i++) {
+         if (columns[i].fontSize < bottomFont.fontSize)
+            Console.writeln("Font size of " + columns[i].block +
+               " column reduced from " + bottomFont.fontSize.toFixed(1) +
+               " to " + columns[i].fontSize.toFixed(1) + " pixels to fit.");
+      }
+   }
 
-   P.executeGlobal();
+   return {title: titleSize, subtitle: subtitleSize};
+}
 
-   //make window invisible
-//   ImageWindow.windowById("temp_render").visible = false;
 
-   return ImageWindow.windowById("temp_render");
+/* createTextFont
+ * creates the font used to measure and draw text
+ * PARAMETERS:
+    * fontName: string
+    * fontSize: font size in pixels
+    * fontStyle: object with bold and italic (optional)
+ * RETURNS:
+    * Font
+*/
+function createTextFont(fontName, fontSize, fontStyle) {
+   var font = new Font(fontName);
+   font.pixelSize = Math.max(1, Math.round(fontSize));
+   font.bold = (fontStyle != undefined) && (fontStyle.bold == true);
+   font.italic = (fontStyle != undefined) && (fontStyle.italic == true);
+   return font;
 }
 
-/*
- * closeTextRenderWindow
- * force closes a window
+/* letterSpacingPixels
+ * returns the additional space between two characters
  * PARAMETERS:
-    * renderWindow: window id
+    * fontSize: font size in pixels
+    * fontStyle: object with letterSpacing in percent of the font size (optional)
  * RETURNS:
-    * nothing
+    * space in pixels, may be negative
+*/
+function letterSpacingPixels(fontSize, fontStyle) {
+   if ((fontStyle == undefined) || !fontStyle.letterSpacing)
+      return 0;
+   return fontSize * fontStyle.letterSpacing / 100;
+}
+
+/* parseMarkup
+ * splits a text into runs of the same style. Markup:
+    * **bold**, *italic*
+    * ^{superscript}, _{subscript}
+    * \Ha, \OIII, \deg, ... symbols of markupSymbols
+    * \*, \^, \_, \\: literal characters
+ * Markers without partner are written as they are.
+ * PARAMETERS:
+    * text: text with markup
+ * RETURNS:
+    * array of {text, bold, italic, script}, script is 1 for superscripts, -1 for
+      subscripts and 0 otherwise
+*/
+function parseMarkup(text) {
+   var tokens = text.match(/\\[A-Za-z]+|\\[^A-Za-z]|\*\*|\*|\^\{|_\{|\}|[^\\*^_}]+|[\s\S]/g) || [];
+   var runs = [];
+   var style = {bold: false, italic: false, script: 0};
+   var scripts = [];
+   var i, token, name, value;
+
+   //the last bold or italic marker is written as it is if it has no partner
+   var unpaired = {};
+   ["**", "*"].forEach((marker) => {
+      var count = tokens.filter((token) => token == marker).length;
+      if (count % 2 == 1)
+         unpaired[marker] = tokens.lastIndexOf(marker);
+   });
+
+   var append = (text) => {
+      var last = runs[runs.length - 1];
+      if ((last != undefined) && (last.bold == style.bold) &&
+         (last.italic == style.italic) && (last.script == style.script))
+         last.text += text;
+      else
+         runs.push({text: text, bold: style.bold, italic: style.italic,
+            script: style.script});
+   };
+
+   for (i=0;i<tokens.length;i++) {
+      token = tokens[i];
+
+      if ((token == "**") && (unpaired["**"] != i))
+         style.bold = !style.bold;
+      else if ((token == "*") && (unpaired["*"] != i))
+         style.italic = !style.italic;
+      else if ((token == "^{") || (token == "_{")) {
+         scripts.push(style.script);
+         style.script = (token == "^{") ? 1 : -1;
+      }
+      else if ((token == "}") && (scripts.length > 0))
+         style.script = scripts.pop();
+      else if ((token.charAt(0) == "\\") && (token.length > 1)) {
+         //longest symbol name at the start of the letters, the rest is text
+         name = token.slice(1);
+         while ((name.length > 0) && !(name in markupSymbols))
+            name = name.slice(0, -1);
+         if (name.length > 0)
+            value = markupSymbols[name] + token.slice(1 + name.length);
+         else if (/[A-Za-z]/.test(token.charAt(1)))
+            value = token;
+         else
+            value = token.charAt(1);
+         append(value);
+      }
+      else
+         append(token);
+   }
+
+   return runs;
+}
+
+/* escapeMarkup
+ * escapes the characters of a text that parseMarkup would read as markup
+ * PARAMETERS:
+    * text: plain text, e.g. the value of a FITS keyword
+ * RETURNS:
+    * text that parseMarkup returns unchanged
+*/
+function escapeMarkup(text) {
+   return text.replace(/[\\*^_}]/g, "\\$&");
+}
+
+/* layoutText
+ * splits a text with markup into runs and calculates their fonts and positions
+ * PARAMETERS:
+    * text: text with markup, see parseMarkup
+    * fontName: string
+    * fontSize: font size in pixels
+    * fontStyle: object with bold, italic and letterSpacing (optional)
+ * RETURNS:
+    * {runs, ascent, descent, spacing}
+       * runs: array of {text, font, x, baseline, inkRect}, positions relative to the
+         start of the text line and the top of the text line
+       * ascent, descent: metrics of the font of the text
+       * spacing: letter spacing in pixels
 */
-function closeTextRenderWindow(renderWindow) {
-   if ((typeof(renderWindow) != "undefined") && !renderWindow.isNull)
-      renderWindow.forceClose();   //forceClose to avoid dialog on closure
+function layoutText(text, fontName, fontSize, fontStyle) {
+   var font = createTextFont(fontName, fontSize, fontStyle);
+   var spacing = letterSpacingPixels(fontSize, fontStyle);
+   var x = 0;
+
+   var runs = parseMarkup(text).map((run) => {
+      //bold and italic of the markup are added to the style of the text
+      var runFont = createTextFont(fontName,
+         (run.script == 0) ? fontSize : fontSize * scriptSizeFactor, {
+            bold: ((fontStyle != undefined) && (fontStyle.bold == true)) || run.bold,
+            italic: ((fontStyle != undefined) && (fontStyle.italic == true)) || run.italic
+         });
+      var baseline = font.ascent;
+      if (run.script > 0)
+         baseline -= 0.4 * fontSize;
+      if (run.script < 0)
+         baseline += 0.2 * fontSize;
+
+      var layout = {text: run.text, font: runFont, x: x, baseline: baseline,
+         inkRect: runFont.tightBoundingRect(run.text)};
+      x += runFont.width(run.text) + spacing * run.text.length;
+      return layout;
+   });
+
+   return {runs: runs, ascent: font.ascent, descent: font.descent, spacing: spacing};
 }
 
 /* renderTextDimensions
- * returns the length and height of a rendered text in pixels
+ * returns the dimensions of a rendered text in pixels, measured with the font metrics
+ * of all runs of the markup. Vertical values are relative to the top of the text line,
+ * which is the position used by drawText.
  * PARAMETERS:
-    * text: string of the text to be measured
+    * text: string of the text to be measured, may contain markup (see parseMarkup)
     * fontname: string
     * fontSize: integer
+    * fontStyle: object with bold, italic and letterSpacing (optional)
  * RETURNS:
-    * {length, height}
+    * {length, height, top, bottom}
+       * length: horizontal extent of the rendered text
+       * height: distance from top of the text line to the lowest rendered pixel
+       * top: distance from top of the text line to the highest rendered pixel
+       * bottom: same as height
 */
-function renderTextDimensions(text,fontName,fontSize) {
-   var textDimensions = {length:0, height:0}
+function renderTextDimensions(text,fontName,fontSize,fontStyle) {
+   var textDimensions = {length:0, height:0, top:0, bottom:0};
+
+   if (text.length == 0)
+      return textDimensions;
+
+   var layout = layoutText(text, fontName, fontSize, fontStyle);
+   if (layout.runs.length == 0)
+      return textDimensions;
+
+   //tight bounding rects are relative to the baseline of each run
+   var last = layout.runs[layout.runs.length - 1];
+   textDimensions.length = last.x + last.inkRect.x1 +
+      layout.spacing * (last.text.length - 1);
+   textDimensions.top = Math.min.apply(null,
+      layout.runs.map((run) => run.baseline + run.inkRect.y0));
+   textDimensions.bottom = Math.max.apply(null,
+      layout.runs.map((run) => run.baseline + run.inkRect.y1));
+   textDimensions.height = textDimensions.bottom;
 
-   // place annotation in render_view
-   var P = new Annotation;
-   P.annotationText = text;
-   P.annotationFont = fontName;
-   if (fontSize < 256)  // maximum fontsize supported is 255
-      P.annotationFontSize = Math.round(fontSize);
-   else
-      P.annotationFontSize = 255;
-   P.annotationFontBold = false;
-   P.annotationFontItalic = false;
-   P.annotationFontUnderline = false;
-   P.annotationFontShadow = false;
-   P.annotationColor = 4294967295;
-   P.annotationPositionX = 0;
-   P.annotationPositionY = 0;
-   P.annotationShowLeader = false;
-   P.annotationLeaderPositionX = 0;
-   P.annotationLeaderPositionY = 0;
-   P.annotationOpacity = 255;
-
-   P.executeOn(View.viewById("temp_render"));
+   return textDimensions;
+}
 
-   //measure length of rendered text
-   var renderImage = View.viewById("temp_render").image;
-   var imageWidth = renderImage.width;
-   var imageHeight = renderImage.height;
-   var x,y;
-//   var length = 0;
-
-   for (x=0; x<imageWidth; x++) {
-     for (y=0; y<imageHeight; y++) {
-        if (renderImage.sample(x,y) > 0 ) {
-           if (x > textDimensions.length) textDimensions.length = x;
-           if (y > textDimensions.height) textDimensions.height = y;
-        }
-     }
-   }
-
-   //reset render_view to all black using pixelMath
-   var Q = new PixelMath;
-   Q.expression = "0";
-   Q.useSingleExpression = true;
-   Q.generateOutput = true;
-   Q.createNewImage = false;
-   Q.executeOn(View.viewById("temp_render"));
+/* drawText
+ * draws an anti-aliased text on a transparent bitmap and blends it into the image
+ * PARAMETERS:
+    * imageView: image id
+    * text: string of the text to be drawn, may contain markup (see parseMarkup)
+    * fontName: string
+    * fontSize: font size in pixels
+    * color: text color as 0xAARRGGBB
+    * x: horizontal position of the text line in pixels
+    * y: vertical position of the top of the text line in pixels
+    * fontStyle: object with bold, italic, letterSpacing and shadow (optional)
+ * RETURNS:
+    * nothing
+*/
+function drawText(imageView, text, fontName, fontSize, color, x, y, fontStyle) {
+   if (text.length == 0)
+      return;
+
+   var layout = layoutText(text, fontName, fontSize, fontStyle);
+   var spacing = layout.spacing;
+   var shadowOffset = 0;
+   var i, run;
+
+   if (layout.runs.length == 0)
+      return;
+
+   if ((fontStyle != undefined) && (fontStyle.shadow == true))
+      shadowOffset = Math.max(1, fontSize * textShadow.offset);
+
+   //bitmap covers the text line and all rendered pixels plus a margin for anti-aliasing
+   var margin = 2;
+   var left = 0;
+   var top = 0;
+   var right = 0;
+   var bottom = layout.ascent + layout.descent;
+   layout.runs.forEach((run) => {
+      left = Math.min(left, run.x + run.inkRect.x0);
+      top = Math.min(top, run.baseline + run.inkRect.y0);
+      right = Math.max(right, run.x + Math.max(run.font.width(run.text), run.inkRect.x1) +
+         Math.max(0, spacing * (run.text.length - 1)));
+      bottom = Math.max(bottom, run.baseline + run.inkRect.y1);
+   });
+   left = Math.floor(left) - margin;
+   top = Math.floor(top) - margin;
+   right = Math.ceil(right + shadowOffset) + margin;
+   bottom = Math.ceil(bottom + shadowOffset) + margin;
+
+   //keep sub-pixel part of the position for the vector graphics
+   var bitmapX = Math.floor(x) + left;
+   var bitmapY = Math.floor(y) + top;
+
+   var bitmap = new Bitmap(right - left, bottom - top);
+   bitmap.fill(0x00000000);   //transparent
+
+   var G = new VectorGraphics(bitmap);
+   G.antialiasing = true;
+   G.textAntialiasing = true;
+   var drawRuns = (left, top) => {
+      layout.runs.forEach((run) => {
+         G.font = run.font;
+         if (spacing == 0)
+            G.drawText(left + run.x, top + run.baseline, run.text);
+         else {
+            //draw character by character to add the letter spacing
+            for (i=0;i<run.text.length;i++)
+               G.drawText(left + run.x + run.font.width(run.text.substring(0, i)) +
+                  i * spacing, top + run.baseline, run.text.charAt(i));
+         }
+      });
+   };
 
-   return textDimensions;
+   //shadow is drawn first to stay behind the text
+   if (shadowOffset > 0) {
+      G.pen = new Pen(textShadow.color);
+      drawRuns(x - bitmapX + shadowOffset, y - bitmapY + shadowOffset);
+   }
+   G.pen = new Pen(color);
+   drawRuns(x - bitmapX, y - bitmapY);
+   G.end();
+
+   imageView.beginProcess();
+   imageView.image.blend(bitmap, new Point(bitmapX, bitmapY));
+   imageView.endProcess();
 }
 
 
 
+ /*
+ * colorComponent
+ * returns a component of a color
+ * PARAMETERS:
+    * color: color as 0xAARRGGBB
+    * shift: bit position of the component: 24 (alpha), 16 (red), 8 (green), 0 (blue)
+ * RETURNS:
+    * component value from 0 to 255
+*/
+function colorComponent(color, shift) {
+   return (color >>> shift) & 0xFF;
+}
+
+ /*
+ * blendColors
+ * blends a (semi-transparent) color over a background color
+ * PARAMETERS:
+    * color: foreground color as 0xAARRGGBB
+    * background: background color as 0xAARRGGBB
+ * RETURNS:
+    * blended color as 0xAARRGGBB with the opacity of the background
+*/
+function blendColors(color, background) {
+   var opacity = colorComponent(color, 24) / 255;
+   var blended = colorComponent(background, 24) * 0x1000000;
+   var shift;
+
+   for (shift = 0; shift <= 16; shift += 8) {
+      blended += Math.round(opacity * colorComponent(color, shift) +
+         (1 - opacity) * colorComponent(background, shift)) * Math.pow(2, shift);
+   }
+   return blended;
+}
+
  /*
  * addFrame
  * Adds a frame around an image
@@ -332,7 +1074,7 @@ function renderTextDimensions(text,fontName,fontSize) {
     * centerY: vertical center point of outer frame expressed in 0(top) to 1(bottom)
     * width: target frame width in pixel
     * height: target frame height in pixel
-    * color: "white", "black", "silver"
+    * color: color as 0xAARRGGBB, the opacity is written to the alpha channel if present
  * RETURNS:
     * nothing
 */
@@ -347,23 +1089,10 @@ function addFrame(imageView, centerX, centerY, width, height, color) {
    P.height = height / imageView.image.height;
 
    // set color of frame
-   switch(color) {
-      case "white":
-         P.red = 1;
-         P.green = 1;
-         P.blue = 1;
-         break;
-      case "black":
-         P.red = 0;
-         P.green = 0;
-         P.blue = 0;
-         break;
-      case "silver":
-         P.red = 0.5;
-         P.green = 0.5;
-         P.blue = 0.5;
-         break;
-   }
+   P.red = colorComponent(color, 16) / 255;
+   P.green = colorComponent(color, 8) / 255;
+   P.blue = colorComponent(color, 0) / 255;
+   P.alpha = colorComponent(color, 24) / 255;
 
    //execute operation on image
    P.executeOn(imageView);
@@ -374,74 +1103,192 @@ function addFrame(imageView, centerX, centerY, width, height, color) {
  * Contains settings for varous frame types
  * PARAMETERS:
     * imageView: image identifier
-    * style: style of the frame to apply: "default"
+    * style: id of the frame style to apply (see frameStyles)
  * RETURNS:
-    * assigns global variables:
-       * titleBarHeight
+    * nothing
  */
 function addFrameStyle(imageView, style) {
+   var lineWidth = allDimensions.innerLineWidth;
+   var frameColor = frameColors.outerFrame;
+   //semi-transparent lines are blended over the frame color
+   var lineColor = blendColors(frameColors.innerLine, frameColors.outerFrame);
 
    switch(style) {
+      case "double":
+         //two thin lines separated by a frame colored line of the same width
+         addFrame(imageView, 0.5, 0.5,
+            allDimensions.imageWidth + 2 * lineWidth,
+            allDimensions.imageHeight + 2 * lineWidth, lineColor);
+         addFrame(imageView, 0.5, 0.5,
+            allDimensions.imageWidth + 4 * lineWidth,
+            allDimensions.imageHeight + 4 * lineWidth, frameColor);
+         addFrame(imageView, 0.5, 0.5,
+            allDimensions.framedImageWidth,
+            allDimensions.framedImageHeight, lineColor);
+
+         //frame offset towards bottom
+         addFrame(imageView, 0.5, allDimensions.frameCenterY,
+            allDimensions.outerFrameWidth,
+            allDimensions.outerFrameHeight, frameColor);
+         break;
+
+      case "noline":
+         //frame offset towards bottom, directly around the image
+         addFrame(imageView, 0.5, allDimensions.frameCenterY,
+            allDimensions.outerFrameWidth,
+            allDimensions.outerFrameHeight, frameColor);
+         break;
+
+      case "shadow":
+         //frame offset towards bottom, directly around the image
+         addFrame(imageView, 0.5, allDimensions.frameCenterY,
+            allDimensions.outerFrameWidth,
+            allDimensions.outerFrameHeight, frameColor);
+
+         //shadow to the lower right of the image
+         addDropShadow(imageView);
+         break;
+
       default:
-         //default frame style
-         //thin white line around image
+         //default, gallery mat and keyline frame styles,
+         //line width, frame width and colors come from frameStyles
+         //line around image
          addFrame(imageView, 0.5, 0.5,
             allDimensions.framedImageWidth,
-            allDimensions.framedImageHeight, "white");
+            allDimensions.framedImageHeight, lineColor);
 
-         //black frame offset towards bottom
-         addFrame(imageView, 0.5, verticalImageFactor,
+         //frame offset towards bottom
+         addFrame(imageView, 0.5, allDimensions.frameCenterY,
             allDimensions.outerFrameWidth,
-            allDimensions.outerFrameHeight, "black");
+            allDimensions.outerFrameHeight, frameColor);
          break;
    }
 }
 
+/*
+ * addDropShadow
+ * draws a soft shadow to the lower right of the framed image onto the outer frame.
+ * Needs to be called after the outer frame has been added.
+ * PARAMETERS:
+    * imageView: image identifier
+ * RETURNS:
+    * nothing
+ */
+function addDropShadow(imageView) {
+   //position of the framed image within the outer frame
+   var left = (imageView.image.width - allDimensions.framedImageWidth) / 2;
+   var top = allDimensions.topPadding + allDimensions.titleBarHeight +
+      allDimensions.tickBand;
+   var right = left + allDimensions.framedImageWidth;
+   var bottom = top + allDimensions.framedImageHeight;
+
+   //shadow size relative to the space at the side of the image
+   var offset = 0.3 * left;
+   var blur = 0.4 * left;
+   var shadowRect = new Rect(left + offset, top + offset,
+      right + offset, bottom + offset);
+
+   //shadow is drawn in two strips to keep the bitmaps small:
+   //right of the image and below the image
+   drawShadowStrip(imageView, shadowRect, blur,
+      new Rect(Math.floor(right), Math.floor(top),
+         Math.ceil(right + offset + blur), Math.ceil(bottom + offset + blur)));
+   drawShadowStrip(imageView, shadowRect, blur,
+      new Rect(Math.floor(left), Math.floor(bottom),
+         Math.floor(right), Math.ceil(bottom + offset + blur)));
+}
+
+/*
+ * drawShadowStrip
+ * draws the part of a blurred shadow rectangle that is inside a strip of the image
+ * PARAMETERS:
+    * imageView: image identifier
+    * shadowRect: Rect of the shadow in image coordinates
+    * blur: width of the soft shadow edge in pixels
+    * stripRect: Rect of the image area to draw
+ * RETURNS:
+    * nothing
+ */
+function drawShadowStrip(imageView, shadowRect, blur, stripRect) {
+   var steps = 16;
+   var maxOpacity = 0.7;
+   var i;
+
+   if ((stripRect.width <= 0) || (stripRect.height <= 0))
+      return;
+
+   var bitmap = new Bitmap(stripRect.width, stripRect.height);
+   bitmap.fill(0x00000000);   //transparent
+
+   var G = new VectorGraphics(bitmap);
+   G.antialiasing = true;
+   G.pen = new Pen(0x00000000);
+
+   //overlapping rectangles of decreasing size build up the soft edge
+   var alpha = Math.round(255 * maxOpacity / steps);
+   G.brush = new Brush(alpha * 0x1000000);
+   for (i=0;i<steps;i++) {
+      var inset = blur * (i / steps - 0.5);
+      G.fillRect(shadowRect.x0 + inset - stripRect.x0,
+         shadowRect.y0 + inset - stripRect.y0,
+         shadowRect.x1 - inset - stripRect.x0,
+         shadowRect.y1 - inset - stripRect.y0);
+   }
+   G.end();
+
+   imageView.beginProcess();
+   imageView.image.blend(bitmap, new Point(stripRect.x0, stripRect.y0));
+   imageView.endProcess();
+}
+
 /*
  * writeImageTitle
- * Annotates the image title to the image
+ * Draws the image title and the optional subtitle centered as a group in the title bar
  * PARAMETERS:
     * imageView: image id
     * titleString: title
+    * fontSize: font size in pixels (optional, default is titleFont.fontSize)
+    * subtitleString: subtitle drawn below the title (optional)
+    * subtitleFontSize: font size in pixels (optional, default is subtitleFont.fontSize)
  * RETURNS:
     * nothing
  */
-function writeImageTitle(imageView, titleString) {
+function writeImageTitle(imageView, titleString, fontSize, subtitleString, subtitleFontSize) {
+   if (fontSize == undefined)
+      fontSize = titleFont.fontSize;
+   if (subtitleString == undefined)
+      subtitleString = "";
+   if (subtitleFontSize == undefined)
+      subtitleFontSize = subtitleFont.fontSize;
 
    //calculate horizontal midpoint of image
    var horizontalMidPoint = imageView.image.width / 2;
 
-   //calculate text dimensions of annotated text
-   var textDimensions =
-      renderTextDimensions(titleString, titleFont.fontName, titleFont.fontSize);
-
-   //calculate vertical position of text line
-   var verticalTextPosition =
-      (allDimensions.titleBarHeight - textDimensions.height) / 2;
-
-   //calculate horizontalTextPosition
-   var horizontalTextPosition = horizontalMidPoint - textDimensions.length / 2;
-
-   var P = new Annotation;
-   P.annotationText = titleString;
-   P.annotationFont = titleFont.fontName;
-   if (titleFont.fontSize < 256)  // maximum fontsize supported is 255
-      P.annotationFontSize = Math.round(titleFont.fontSize);
-   else
-      P.annotationFontSize = 255;
-   P.annotationFontBold = false;
-   P.annotationFontItalic = false;
-   P.annotationFontUnderline = false;
-   P.annotationFontShadow = false;
-   P.annotationColor = 4290822336;
-   P.annotationPositionX = horizontalTextPosition;
-   P.annotationPositionY = verticalTextPosition;
-   P.annotationShowLeader = false;
-   P.annotationLeaderPositionX = 0;
-   P.annotationLeaderPositionY = 0;
-   P.annotationOpacity = 255;
-
-   P.executeOn(imageView);
+   //calculate text dimensions of annotated texts
+   var titleDimensions =
+      renderTextDimensions(titleString, titleFont.fontName, fontSize, titleFont);
+   var subtitleDimensions =
+      renderTextDimensions(subtitleString, subtitleFont.fontName, subtitleFontSize, subtitleFont);
+
+   //space between the rendered pixels of title and subtitle
+   var gap = 0;
+   if ((titleString.length > 0) && (subtitleString.length > 0))
+      gap = subtitleFontSize * 0.4;
+
+   //calculate top of the group, centering the rendered pixels of both lines
+   var titleHeight = titleDimensions.bottom - titleDimensions.top;
+   var groupHeight = titleHeight + gap +
+      (subtitleDimensions.bottom - subtitleDimensions.top);
+   var groupTop = allDimensions.topPadding +
+      (allDimensions.titleBarHeight - groupHeight) / 2;
+
+   drawText(imageView, titleString, titleFont.fontName, fontSize,
+      titleFont.fontColor, horizontalMidPoint - titleDimensions.length / 2,
+      groupTop - titleDimensions.top, titleFont);
+
+   drawText(imageView, subtitleString, subtitleFont.fontName, subtitleFontSize,
+      titleFont.fontColor, horizontalMidPoint - subtitleDimensions.length / 2,
+      groupTop + titleHeight + gap - subtitleDimensions.top, subtitleFont);
 }
 
 /*
@@ -449,17 +1296,24 @@ function writeImageTitle(imageView, titleString) {
  * writes the bottom text box to the image frame
  * PARAMETERS:
     * imageView: image id
-    * line: 1,2 or 3
+    * line: 1 to maxLinesPerColumn
     * columns: 2 or 3 (if columns=2, block can only be "left" or "right")
     * * block: "left", "center" or "right"
     * text: text to be added to the image frame
+    * fontSize: font size of the column in pixels (optional, default is bottomFont.fontSize),
+      scaled by the relative size of the style of the line
  */
-function writeBottomText(imageView, line, columns, block, text) {
+function writeBottomText(imageView, line, columns, block, text, fontSize) {
    var horizontalOffset = 0;
+   var style = fieldStyle(block, line - 1);
+
+   if (fontSize == undefined)
+      fontSize = bottomFont.fontSize;
+   fontSize = fontSize * style.relativeSize;
 
    //measure length of rendered text
    var textLength =
-      renderTextDimensions(text, bottomFont.fontName, bottomFont.fontSize).length;
+      renderTextDimensions(text, style.fontName, fontSize, style).length;
 
    //calculate horizontal offset based on block
    switch(block) {
@@ -481,244 +1335,2929 @@ function writeBottomText(imageView, line, columns, block, text) {
 
    //calculate vertical position of text line
    var verticalTextPosition =
-      imageView.image.height - allDimensions.bottomBarHeight +
-      allDimensions.bottomBarHeight * 0.0 +
-      (line-1) * bottomFont.fontSize * lineDistance / bottomFont.fontSizeFactor;
+      imageView.image.height - allDimensions.bottomPadding -
+      allDimensions.bottomBarHeight + allDimensions.bottomBarHeight * 0.0 +
+      (line-1) * allDimensions.lineSpacing;
+
+   //keep the baseline of other font sizes and faces at the position of the annotation font
+   verticalTextPosition +=
+      createTextFont(bottomFont.fontName, bottomFont.fontSize).ascent -
+      createTextFont(style.fontName, fontSize, style).ascent;
 
    //calculate horizontalTextPosition
    var horizontalTextPosition =
       ((imageView.image.width - allDimensions.framedImageWidth) / 2)
       + horizontalOffset;
 
-   var P = new Annotation;
-   P.annotationText = text;
-   P.annotationFont = bottomFont.fontName;
-   P.annotationFontSize = bottomFont.fontSize;
-   P.annotationFontBold = false;
-   P.annotationFontItalic = false;
-   P.annotationFontUnderline = false;
-   P.annotationFontShadow = false;
-   P.annotationColor = 4290822336;
-   P.annotationPositionX = horizontalTextPosition;
-   P.annotationPositionY = verticalTextPosition;
-   P.annotationShowLeader = false;
-   P.annotationLeaderPositionX = 0;
-   P.annotationLeaderPositionY = 0;
-   P.annotationOpacity = 255;
-
-   P.executeOn(imageView);
+   drawText(imageView, text, style.fontName, fontSize,
+      style.color, horizontalTextPosition, verticalTextPosition, style);
 }
 
 
-/* findKVPFromFITSHeader
- * find a specific key in a FITS header and return the whole KVP
+/*
+ * loadLogoImage
+ * loads the logo from an image file or from an open view
  * PARAMETERS:
-    * name: kvp with the name to be found
+    * source: file path or view id
  * RETURNS:
-    * FITSKeyword if found
-    * false if not found
-*/
-function findKVPFromFITSHeader(name) {
+    * logo image, undefined if the logo cannot be loaded
+ */
+function loadLogoImage(source) {
    var i;
-   for (i=0;i<header.length;i++) {
-      if (header[i].name == name) {
-         //need to create copy of object since it was passed by reference from array
-         var kvp = new FITSKeyword(header[i]);
-         //strip quote marks from value if the value is a string
-         if (kvp.isString)
-            kvp.value = kvp.value.slice(1,-1);
-         return kvp;
+
+   if (source.length == 0)
+      return undefined;
+
+   if (File.exists(source)) {
+      if (source != logoCache.source) {
+         logoCache.source = source;
+         logoCache.image = undefined;
+
+         var windows = ImageWindow.open(source);
+         if (windows.length > 0)
+            logoCache.image = new Image(windows[0].mainView.image);
+         for (i=0;i<windows.length;i++)
+            windows[i].forceClose();
       }
+      return logoCache.image;
    }
 
-   return false; //no kvp with name found
+   //an open view may have been modified, so it is not cached
+   var view = View.viewById(source);
+   if (view.isNull)
+      return undefined;
+   return new Image(view.image);
 }
 
-/* retreiveValuesFromFITSHeader
- * retrieves stored values from the FITS header and writes annotationFrameParameters
- * values that are not present in FITS header will not be written
+/*
+ * logoTintColor
+ * returns the color the logo is tinted with
  * PARAMETERS:
-    * none
+    * tint: id of logoTints
  * RETURNS:
-    * nothing
-*/
-function retrieveValuesFromFITSHeader() {
-   var FITSword;
+    * color as 0xAARRGGBB, undefined to keep the colors of the logo
+ */
+function logoTintColor(tint) {
+   switch (tint) {
+      case "frame":
+         return frameColors.outerFrame;
+      case "line":
+         return frameColors.innerLine;
+      case "text":
+         return bottomFont.fontColor;
+      default:
+         return undefined;
+   }
+}
 
-   FITSword = findKVPFromFITSHeader("AF_imageTitle").value;
-   if (FITSword) annotationFrameParameters.titleText = FITSword;
+/*
+ * createLogoBitmap
+ * creates a bitmap of the logo with the given height, transparent where the
+ * alpha channel of the logo is transparent
+ * PARAMETERS:
+    * logo: Image
+    * height: height of the bitmap in pixels
+    * tintColor: color as 0xAARRGGBB replacing the colors of the logo (optional)
+ * RETURNS:
+    * Bitmap
+ */
+function createLogoBitmap(logo, height, tintColor) {
+   var image = new Image(logo);
+   image.resample(height / image.height);
+
+   var width = image.width;
+   var rect = new Rect(0, 0, width, image.height);
+   var colorChannels = image.isColor ? 3 : 1;
+   var hasAlpha = image.numberOfChannels > colorChannels;
+   var channels = [];
+   var bitmap = new Bitmap(width, image.height);
+   var c, x, y, i, alpha, rgb;
+
+   //first channel after the color channels is the alpha channel
+   for (c=0;c<colorChannels + (hasAlpha ? 1 : 0);c++) {
+      channels[c] = new Float32Array(width * image.height);
+      image.getSamples(channels[c], rect, c);
+   }
 
-   FITSword = findKVPFromFITSHeader("AF_bottomLeftText1").value;
-   if (FITSword) annotationFrameParameters.bottomLeftText1 = FITSword;
+   //resampling may overshoot the normalized range
+   var level = (value) => Math.round(255 * Math.max(0, Math.min(1, value)));
 
-   FITSword = findKVPFromFITSHeader("AF_bottomLeftText2").value;
-   if (FITSword) annotationFrameParameters.bottomLeftText2 = FITSword;
+   for (y=0;y<image.height;y++) {
+      for (x=0;x<width;x++) {
+         i = y * width + x;
+         alpha = hasAlpha ? level(channels[colorChannels][i]) : 255;
 
-   FITSword = findKVPFromFITSHeader("AF_bottomLeftText3").value;
-   if (FITSword) annotationFrameParameters.bottomLeftText3 = FITSword;
+         if (tintColor != undefined) {
+            //keep the shape of the logo, draw it in the tint color
+            alpha = Math.round(alpha * colorComponent(tintColor, 24) / 255);
+            rgb = tintColor % 0x1000000;
+         }
+         else {
+            //grayscale logos use their only channel for red, green and blue
+            rgb = level(channels[0][i]) * 0x10000 +
+               level(channels[Math.min(1, colorChannels - 1)][i]) * 0x100 +
+               level(channels[colorChannels - 1][i]);
+         }
 
-   FITSword = findKVPFromFITSHeader("AF_bottomCenterText1").value;
-   if (FITSword) annotationFrameParameters.bottomCenterText1 = FITSword;
+         bitmap.setPixel(x, y, alpha * 0x1000000 + rgb);
+      }
+   }
 
-   FITSword = findKVPFromFITSHeader("AF_bottomCenterText2").value;
-   if (FITSword) annotationFrameParameters.bottomCenterText2 = FITSword;
+   return bitmap;
+}
 
-   FITSword = findKVPFromFITSHeader("AF_bottomCenterText3").value;
-   if (FITSword) annotationFrameParameters.bottomCenterText3 = FITSword;
+/*
+ * addLogo
+ * draws the logo into a slot of the bottom bar or into a corner of the frame
+ * PARAMETERS:
+    * imageView: image id
+ * RETURNS:
+    * nothing
+ */
+function addLogo(imageView) {
+   var source = annotationFrameParameters.logoSource;
+   var slot = annotationFrameParameters.logoSlot;
+   var image = imageView.image;
+
+   if (source.length == 0)
+      return;
+
+   var logo = loadLogoImage(source);
+   if (logo == undefined) {
+      Console.warningln("Logo " + source + " could not be loaded.");
+      return;
+   }
 
-   FITSword = findKVPFromFITSHeader("AF_bottomRightText1").value;
-   if (FITSword) annotationFrameParameters.bottomRightText1 = FITSword;
+   //logo height is relative to the bottom bar, limited by the bar it is drawn into
+   var height = Math.round(Math.min(slotMaxHeight(image, slot),
+      allDimensions.bottomBarHeight * annotationFrameParameters.logoScale / 100));
+   if (height < 1)
+      return;
 
-   FITSword = findKVPFromFITSHeader("AF_bottomRightText2").value;
-   if (FITSword) annotationFrameParameters.bottomRightText2 = FITSword;
+   var bitmap = createLogoBitmap(logo, height,
+      logoTintColor(annotationFrameParameters.logoTint));
 
-   FITSword = findKVPFromFITSHeader("AF_bottomRightText3").value;
-   if (FITSword) annotationFrameParameters.bottomRightText3 = FITSword;
+   var position = slotPosition(image, slot, bitmap.width, bitmap.height);
+   imageView.beginProcess();
+   image.blend(bitmap, position);
+   imageView.endProcess();
+}
 
-   //frame geometry values
-   FITSword = findKVPFromFITSHeader("AF_verImagePlacement").value;
-   if (FITSword) verticalImageOffset = parseFloat(FITSword);
+/*
+ * slotMaxHeight
+ * returns the height available in a slot of the bottom bar or in a corner of the frame
+ * PARAMETERS:
+    * image: framed image
+    * slot: id of logoSlots
+ * RETURNS:
+    * height in pixels
+ */
+function slotMaxHeight(image, slot) {
+   var sideMargin = (image.width - allDimensions.framedImageWidth) / 2;
+   var barHeight = (slot.indexOf("top") == 0) ?
+      allDimensions.titleBarHeight : allDimensions.bottomBarHeight;
+
+   if ((slot.indexOf("top") == 0) || (slot.indexOf("bottom") == 0))
+      barHeight -= sideMargin;
+   return barHeight;
+}
 
-   FITSword = findKVPFromFITSHeader("AF_verBorderWidth").value;
-   if (FITSword) frameHeightIncPerc = parseFloat(FITSword);
+/*
+ * slotPosition
+ * calculates the position of a bitmap drawn into a slot of the bottom bar or into
+ * a corner of the frame
+ * PARAMETERS:
+    * image: framed image
+    * slot: id of logoSlots
+    * width, height: size of the bitmap
+ * RETURNS:
+    * Point of the top left corner of the bitmap
+ */
+function slotPosition(image, slot, width, height) {
+   //distance of the framed image to the left and right edge of the frame
+   var sideMargin = (image.width - allDimensions.framedImageWidth) / 2;
+   var isCorner = (slot.indexOf("top") == 0) || (slot.indexOf("bottom") == 0);
+   var x, y;
+
+   if (isCorner) {
+      x = (slot.indexOf("Left") > 0) ?
+         sideMargin / 2 : image.width - sideMargin / 2 - width;
+      y = (slot.indexOf("top") == 0) ?
+         sideMargin / 2 : image.height - sideMargin / 2 - height;
+   }
+   else {
+      //slots of the bottom bar are aligned like the bottom columns
+      switch (slot) {
+         case "left":
+            x = sideMargin;
+            break;
+         case "center":
+            x = (image.width - width) / 2;
+            break;
+         default:
+            x = image.width - sideMargin - width;
+      }
+      y = image.height - allDimensions.bottomPadding -
+         (allDimensions.bottomBarHeight + height) / 2;
+   }
 
-   FITSword = findKVPFromFITSHeader("AF_horBorderWidth").value;
-   if (FITSword) frameWidthIncPerc = parseFloat(FITSword);
+   return new Point(Math.round(x), Math.round(y));
+}
 
-   //fonts
-   FITSword = findKVPFromFITSHeader("AF_titleFont").value;
-   if (FITSword) titleFont.fontName = FITSword;
+/*
+ * isSlotItemShown
+ * returns true if an item of slotItems is drawn, the logo needs a logo source
+ * PARAMETERS:
+    * item: entry of slotItems
+ * RETURNS:
+    * true if the item is drawn
+ */
+function isSlotItemShown(item) {
+   if (item.parameter == "logoSlot")
+      return annotationFrameParameters.logoSource.length > 0;
+   return annotationFrameParameters[item.parameter] != "none";
+}
 
-   FITSword = findKVPFromFITSHeader("AF_annotationFont").value;
-   if (FITSword) bottomFont.fontName = FITSword;
+/*
+ * slotBlock
+ * returns the bottom column whose text is drawn at the place of a slot, the bottom
+ * corners lie beside the text of the left and right columns
+ * PARAMETERS:
+    * slot: id of logoSlots
+ * RETURNS:
+    * block of columnBlocks, undefined if no column is drawn at the place of the slot
+ */
+function slotBlock(slot) {
+   var block = {bottomLeft: "left", bottomRight: "right"}[slot] || slot;
+
+   return columnBlocks.find((column) => column.block == block);
+}
+
+/*
+ * slotOccupant
+ * returns the name of the enabled bottom column or of another item drawn at the
+ * place of a slot, an item in such a slot would be drawn over them
+ * PARAMETERS:
+    * slot: id of logoSlots
+    * parameter: parameter of the item placed into the slot, e.g. "logoSlot"
+    * items: items to check (optional, default is slotItems)
+ * RETURNS:
+    * name of the column or item, empty string if the slot is free
+ */
+function slotOccupant(slot, parameter, items) {
+   var column = slotBlock(slot);
+   var i;
+
+   if ((column != undefined) && annotationFrameParameters[column.block + "Column"])
+      return column.name.toLowerCase() + " column";
+
+   if (items == undefined)
+      items = slotItems;
+   for (i=0;i<items.length;i++) {
+      if ((items[i].parameter != parameter) && isSlotItemShown(items[i]) &&
+         (annotationFrameParameters[items[i].parameter] == slot))
+         return items[i].name;
+   }
+   return "";
+}
+
+/*
+ * addScaleBar
+ * draws a bar of a round angular length with its length as label into a slot of the
+ * bottom bar or into a corner of the frame. Images that are not plate solved are
+ * left without scale bar.
+ * PARAMETERS:
+    * imageView: image id
+ * RETURNS:
+    * nothing
+ */
+function addScaleBar(imageView) {
+   var slot = annotationFrameParameters.scaleBarSlot;
+   var image = imageView.image;
+   var wcs;
+
+   try {
+      wcs = readWCS();
+   }
+   catch (error) {
+      //reported by applyAnnotationFrame
+      return;
+   }
+
+   var height = Math.round(Math.min(slotMaxHeight(image, slot),
+      allDimensions.bottomBarHeight * 0.5));
+   if (height < 4)
+      return;
+
+   //pixels per arc minute in the framed image
+   var pixelsPerArcmin = allDimensions.imageWidth / wcs.width / (wcsPixelScale(wcs) * 60);
+
+   //longest round length up to a fifth of the image width
+   var lengths = [1, 2, 5, 10, 15, 20, 30, 60, 120, 300, 600];
+   var length = lengths[0];
+   for (var i = 1; i < lengths.length; i++) {
+      if (lengths[i] * pixelsPerArcmin <= allDimensions.imageWidth / 5)
+         length = lengths[i];
+   }
+   var barLength = Math.round(length * pixelsPerArcmin);
+   var label = (length >= 60) ? (length / 60) + "\u00B0" : length + "\u2032";
+
+   //label above the bar, both centered
+   var font = createTextFont(bottomFont.fontName, 0.45 * height);
+   var lineWidth = Math.max(1, height / 12);
+   var width = Math.ceil(Math.max(barLength, font.width(label)) + 2 * lineWidth);
+   var barY = height - 2 * lineWidth;
+   var barLeft = (width - barLength) / 2;
+
+   var bitmap = new Bitmap(width, height);
+   bitmap.fill(0x00000000);   //transparent
+
+   var G = new VectorGraphics(bitmap);
+   G.antialiasing = true;
+   G.textAntialiasing = true;
+   G.font = font;
+   G.pen = new Pen(bottomFont.fontColor, lineWidth);
+   G.drawLine(barLeft, barY, barLeft + barLength, barY);
+   G.drawLine(barLeft, barY - height / 5, barLeft, barY);
+   G.drawLine(barLeft + barLength, barY - height / 5, barLeft + barLength, barY);
+   G.drawText((width - font.width(label)) / 2,
+      barY - height / 5 - lineWidth - font.descent, label);
+   G.end();
+
+   imageView.beginProcess();
+   image.blend(bitmap, slotPosition(image, slot, width, height));
+   imageView.endProcess();
+}
+
+/*
+ * addCompass
+ * draws arrows pointing north and east at the image center into a slot of the bottom
+ * bar or into a corner of the frame. Rotation and mirroring are taken from the CD
+ * matrix. Images that are not plate solved are left without compass.
+ * PARAMETERS:
+    * imageView: image id
+ * RETURNS:
+    * nothing
+ */
+function addCompass(imageView) {
+   var slot = annotationFrameParameters.compassSlot;
+   var image = imageView.image;
+   var wcs;
+
+   try {
+      wcs = readWCS();
+   }
+   catch (error) {
+      //reported by applyAnnotationFrame
+      return;
+   }
+
+   var size = Math.round(Math.min(slotMaxHeight(image, slot),
+      allDimensions.bottomBarHeight * 0.8));
+   if (size < 8)
+      return;
+
+   //change of the standard coordinates (east, north) for one pixel in x and y
+   var x0 = wcs.width / 2, y0 = wcs.height / 2;
+   var center = wcsPixelToCelestial(wcs, x0, y0);
+   var cosDec = Math.cos(center.dec * Math.PI / 180);
+   var offset = function(dx, dy) {
+      var point = wcsPixelToCelestial(wcs, x0 + dx, y0 + dy);
+      var dRA = point.ra - center.ra;
+      if (dRA > 180) dRA -= 360;
+      if (dRA < -180) dRA += 360;
+      return {east: dRA * cosDec, north: point.dec - center.dec};
+   };
+   var ex = offset(1, 0), ey = offset(0, 1);
+
+   //invert the 2x2 matrix to get the pixel directions of north and east
+   var det = ex.east * ey.north - ey.east * ex.north;
+   var directions = [
+      {label: "N", x: -ey.east / det, y: ex.east / det},
+      {label: "E", x: ey.north / det, y: -ex.north / det}
+   ];
+
+   var font = createTextFont(bottomFont.fontName, 0.25 * size);
+   var lineWidth = Math.max(1, size / 30);
+   var radius = size / 2 - font.ascent - lineWidth;
+   var head = radius / 4;
+
+   var bitmap = new Bitmap(size, size);
+   bitmap.fill(0x00000000);   //transparent
+
+   var G = new VectorGraphics(bitmap);
+   G.antialiasing = true;
+   G.textAntialiasing = true;
+   G.font = font;
+   G.pen = new Pen(bottomFont.fontColor, lineWidth);
+   directions.forEach((direction) => {
+      var norm = Math.sqrt(direction.x * direction.x + direction.y * direction.y);
+      var dx = direction.x / norm, dy = direction.y / norm;
+      var tipX = size / 2 + dx * radius, tipY = size / 2 + dy * radius;
+
+      //arrow with head and label beyond the tip
+      G.drawLine(size / 2, size / 2, tipX, tipY);
+      G.drawLine(tipX, tipY, tipX - head * (dx + dy / 2), tipY - head * (dy - dx / 2));
+      G.drawLine(tipX, tipY, tipX - head * (dx - dy / 2), tipY - head * (dy + dx / 2));
+      G.drawText(tipX + dx * font.ascent / 2 - font.width(direction.label) / 2,
+         tipY + dy * font.ascent / 2 + (font.ascent - font.descent) / 2, direction.label);
+   });
+   G.end();
+
+   imageView.beginProcess();
+   image.blend(bitmap, slotPosition(image, slot, size, size));
+   imageView.endProcess();
+}
+
+/*
+ * addLegend
+ * draws the filters of the legend with color swatches and integration times in one
+ * row into a slot of the bottom bar or into a corner of the frame
+ * PARAMETERS:
+    * imageView: image id
+ * RETURNS:
+    * nothing
+ */
+function addLegend(imageView) {
+   var slot = annotationFrameParameters.legendSlot;
+   var image = imageView.image;
+   var entries = annotationFrameParameters.legend.filter(
+      (entry) => entry.filter.trim().length > 0);
+
+   if (entries.length == 0)
+      return;
+
+   //legend is written in the font of the bottom text, reduced to fit the slot
+   var font = createTextFont(bottomFont.fontName, bottomFont.fontSize);
+   var maxHeight = slotMaxHeight(image, slot);
+   if (font.ascent + font.descent > maxHeight)
+      font = createTextFont(bottomFont.fontName,
+         bottomFont.fontSize * maxHeight / (font.ascent + font.descent));
+   var height = Math.ceil(font.ascent + font.descent);
+   if (height < 4)
+      return;
+
+   //swatch, filter name and integration time of each entry
+   var swatchSize = Math.round(font.ascent * 0.8);
+   var swatchGap = 0.4 * font.ascent;
+   var entryGap = 1.5 * font.ascent;
+   var texts = entries.map((entry) => {
+      var time = expandTemplate(entry.time).trim();
+      return expandTemplate(entry.filter).trim() + ((time.length > 0) ? " " + time : "");
+   });
+   var width = 0;
+   var i;
+   for (i=0;i<texts.length;i++)
+      width += swatchSize + swatchGap + font.width(texts[i]) + ((i > 0) ? entryGap : 0);
+   width = Math.ceil(width) + 2;
+
+   var bitmap = new Bitmap(width, height);
+   bitmap.fill(0x00000000);   //transparent
+
+   var G = new VectorGraphics(bitmap);
+   G.antialiasing = true;
+   G.textAntialiasing = true;
+   G.font = font;
+   G.pen = new Pen(bottomFont.fontColor, Math.max(1, swatchSize / 12));
+
+   var x = 1;
+   var swatchTop = font.ascent - swatchSize;
+   for (i=0;i<entries.length;i++) {
+      G.brush = new Brush(entries[i].color);
+      G.drawRect(x, swatchTop, x + swatchSize, swatchTop + swatchSize);
+      x += swatchSize + swatchGap;
+      G.drawText(x, font.ascent, texts[i]);
+      x += font.width(texts[i]) + entryGap;
+   }
+   G.end();
+
+   imageView.beginProcess();
+   image.blend(bitmap, slotPosition(image, slot, width, height));
+   imageView.endProcess();
+}
+
+/*
+ * countBottomColumns
+ * sets nrOfColumns to the number of enabled bottom columns
+ * RETURNS:
+    * nothing
+ */
+function countBottomColumns() {
+   annotationFrameParameters.nrOfColumns = 0;
+   if (annotationFrameParameters.leftColumn)
+      annotationFrameParameters.nrOfColumns++;
+   if (annotationFrameParameters.centerColumn)
+      annotationFrameParameters.nrOfColumns++;
+   if (annotationFrameParameters.rightColumn)
+      annotationFrameParameters.nrOfColumns++;
+}
+
+/*
+ * getBottomColumns
+ * returns the enabled bottom columns with their texts
+ * RETURNS:
+    * array of {block, texts, fontSize}
+       * block: "left", "center" or "right"
+       * texts: texts of the lines with expanded placeholders
+       * fontSize: font size in pixels
+ */
+function getBottomColumns() {
+   var columns = [];
+   var i, line, block;
+
+   for (i=0;i<columnBlocks.length;i++) {
+      block = columnBlocks[i].block;
+      if (!annotationFrameParameters[block + "Column"])
+         continue;
+
+      var texts = [];
+      for (line=0;line<annotationFrameParameters.linesPerColumn[block];line++)
+         texts.push(expandTemplate(annotationFrameParameters.bottomText[block][line], true));
+
+      columns.push({block: block, fontSize: bottomFont.fontSize, texts: texts});
+   }
+
+   return columns;
+}
+
+/*
+ * applyAnnotationFrame
+ * adds the frame, the image title and all enabled bottom text blocks to the image
+ * PARAMETERS:
+    * imageView: image id
+    * report: true to write font size reductions of auto-fit to the console
+ * RETURNS:
+    * {title, subtitle, columns}: font sizes the texts have been drawn with
+       * title, subtitle: font sizes of title and subtitle in pixels
+       * columns: bottom columns with their font sizes, see getBottomColumns
+ */
+function applyAnnotationFrame(imageView, report) {
+   var titleText = expandTemplate(annotationFrameParameters.titleText, true);
+   var subtitleText = expandTemplate(annotationFrameParameters.subtitleText, true);
+   var titleFontSizes = {title: titleFont.fontSize, subtitle: subtitleFont.fontSize};
+   var columns = getBottomColumns();
+   var i, line;
+
+   //astrometric placeholders and ticks of images that are not plate solved are left out
+   if (report && (annotationFrameParameters.coordinateTicks ||
+      (annotationFrameParameters.scaleBarSlot != "none") ||
+      (annotationFrameParameters.compassSlot != "none") || templatesUseWCS())) {
+      try {
+         readWCS();
+      }
+      catch (error) {
+         Console.criticalln(error.message);
+      }
+   }
+
+   //reduce font sizes of texts that do not fit
+   if (annotationFrameParameters.autoFitFonts)
+      titleFontSizes = fitFontSizes(titleText, subtitleText, columns, report);
+
+   //add frame around image
+   addFrameStyle(imageView, annotationFrameParameters.frameStyle);
+
+   //add RA/Dec ticks
+   if (annotationFrameParameters.coordinateTicks)
+      addCoordinateTicks(imageView);
+
+   //add logo, scale bar, compass and filter legend, an item is left out if its
+   //place is used by a bottom column or by an item drawn before
+   var drawnItems = [];
+   slotItems.forEach((item) => {
+      if (!isSlotItemShown(item))
+         return;
+
+      var occupant = slotOccupant(annotationFrameParameters[item.parameter],
+         item.parameter, drawnItems);
+      if (occupant.length > 0) {
+         if (report)
+            Console.warningln("The " + item.name + " is not drawn since its place " +
+               "is used by the " + occupant + ".");
+         return;
+      }
+
+      item.draw(imageView);
+      drawnItems.push(item);
+   });
+
+   //write image title and subtitle
+   writeImageTitle(imageView, titleText, titleFontSizes.title,
+      subtitleText, titleFontSizes.subtitle);
+
+   //write bottom text fields
+   for (i=0;i<columns.length;i++) {
+      for (line=0;line<columns[i].texts.length;line++) {
+         writeBottomText(imageView, line + 1,
+            annotationFrameParameters.nrOfColumns, columns[i].block,
+            columns[i].texts[line], columns[i].fontSize);
+      }
+   }
+
+   return {title: titleFontSizes.title, subtitle: titleFontSizes.subtitle,
+      columns: columns};
+}
+
+
+/*
+ * createPreviewImage
+ * creates a downscaled copy of an image to render the preview
+ * PARAMETERS:
+    * imageView: image id
+ * RETURNS:
+    * Image with a longest edge of at most previewSize pixels
+ */
+function createPreviewImage(imageView) {
+   var previewImage = new Image(imageView.image);
+   var scale = previewSize /
+      Math.max(previewImage.width, previewImage.height);
+
+   if (scale < 1)
+      previewImage.resample(scale);
+   return previewImage;
 }
 
+/*
+ * renderPreviewBitmap
+ * applies frame and annotations to a temporary copy of the preview image
+ * and renders the result into a bitmap. The target image is not modified.
+ * PARAMETERS:
+    * imageView: image id of the target image
+    * previewImage: downscaled copy of the target image (see createPreviewImage)
+ * RETURNS:
+    * Bitmap of the framed preview image
+ */
+function renderPreviewBitmap(imageView, previewImage) {
+   var scale = previewImage.width / imageView.image.width;
+   var innerLineWidth = allDimensions.innerLineWidth;
+   var bitmap;
+
+   var previewWindow = new ImageWindow(previewImage.width, previewImage.height,
+      previewImage.numberOfChannels, 32, true, previewImage.isColor,
+      "temp_preview");
+   var previewView = previewWindow.mainView;
+
+   previewView.beginProcess(UndoFlag_NoSwapFile);
+   previewView.image.assign(previewImage);
+   previewView.endProcess();
+
+   //calculate geometry for the downscaled image
+   allDimensions.innerLineWidth =
+      Math.max(1, Math.round(innerLineWidth * scale));
+   calculateAllDimensions(previewView, printSettings.enabled ?
+      printAspectRatio(imageView) : undefined);
+   calculateFonts();
+
+   try {
+      applyAnnotationFrame(previewView, false);
+      bitmap = previewView.image.render();
+   }
+   finally {
+      previewWindow.forceClose();
+
+      //restore geometry of the target image
+      allDimensions.innerLineWidth = innerLineWidth;
+      calculateAllDimensions(imageView);
+      calculateFonts();
+   }
+
+   return bitmap;
+}
+
+
+/*
+ * createWindowId
+ * creates a window id from a pattern
+ * PARAMETERS:
+    * pattern: window id pattern, {id} is replaced by the id of imageView
+    * imageView: image id
+ * RETURNS:
+    * valid window id
+ */
+function createWindowId(pattern, imageView) {
+   var id = pattern.replace(/\{id\}/g, imageView.id);
+
+   //window ids may only contain letters, digits and underscores
+   id = id.replace(/[^A-Za-z0-9_]/g, "_");
+   if ((id.length == 0) || /^[0-9]/.test(id))
+      id = "_" + id;
+   return id;
+}
+
+/*
+ * duplicateImageWindow
+ * creates a hidden copy of an image including FITS keywords and ICC profile
+ * PARAMETERS:
+    * imageView: image id of the image to be copied
+    * id: id of the new window. If the id exists, PixInsight adds a suffix.
+ * RETURNS:
+    * ImageWindow
+ */
+function duplicateImageWindow(imageView, id) {
+   var image = imageView.image;
+   var window = new ImageWindow(image.width, image.height,
+      image.numberOfChannels, image.bitsPerSample, image.isReal,
+      image.isColor, id);
+
+   window.mainView.beginProcess(UndoFlag_NoSwapFile);
+   window.mainView.image.assign(image);
+   window.mainView.endProcess();
+
+   window.keywords = imageView.window.keywords;
+   copySettingsProperty(imageView, window.mainView);
+   if (imageView.window.iccProfile)
+      window.iccProfile = imageView.window.iccProfile;
+   window.setResolution(imageView.window.xResolution, imageView.window.yResolution,
+      imageView.window.metricResolution);
+
+   return window;
+}
+
+
+/* loadHeader
+ * loads the FITS header of an image into header and the size of the image its
+ * astrometric solution refers to into wcsImageSize
+ * PARAMETERS:
+    * imageView: image id
+ * RETURNS:
+    * nothing
+*/
+function loadHeader(imageView) {
+   header = imageView.window.keywords;
+   wcsImageSize.width = imageView.image.width;
+   wcsImageSize.height = imageView.image.height;
+
+   //the astrometric solution of a framed image refers to the image without frame,
+   //it is usable once the frame has been removed by removeFrame
+   if (readFramedRegion(imageView)) {
+      wcsImageSize.width = 0;
+      wcsImageSize.height = 0;
+   }
+}
+
+/* readFramedRegion
+ * reads the position of the image within the frame of an image framed by this script,
+ * images framed by version 0.31 have no settings record, their region is calculated
+ * from the AF_ keywords
+ * PARAMETERS:
+    * imageView: image id
+ * RETURNS:
+    * {x, y, width, height, originalWidth, originalHeight}, undefined if the image
+      has no frame or the stored region does not fit the image
+*/
+function readFramedRegion(imageView) {
+   var record = readSettingsRecord(imageView);
+   var region = (record == undefined) ? readLegacyFramedRegion(imageView) : record.frame;
+   if (region == undefined)
+      return undefined;
+
+   if ((region.x < 0) || (region.y < 0) || (region.width < 1) || (region.height < 1) ||
+      (region.x + region.width > imageView.image.width) ||
+      (region.y + region.height > imageView.image.height) ||
+      (region.originalWidth < 1) || (region.originalHeight < 1))
+      return undefined;
+
+   return region;
+}
+
+/* readLegacyFramedRegion
+ * calculates the position of the image within the frame of an image framed by
+ * version 0.31 from the frame geometry stored in AF_verBorderWidth, AF_horBorderWidth
+ * and AF_verImagePlacement. Version 0.31 drew a line of 10 pixels around the image,
+ * centered the frame horizontally and placed it vertically by the image placement.
+ * PARAMETERS:
+    * imageView: image id
+ * RETURNS:
+    * {x, y, width, height, originalWidth, originalHeight}, undefined if the image
+      has no AF_ frame geometry keywords
+*/
+function readLegacyFramedRegion(imageView) {
+   var number = function(name) {
+      var keyword = imageView.window.keywords.find((keyword) => keyword.name == name);
+      return keyword ? parseFloat(keyword.value) : NaN;
+   };
+   var lineWidth = 10;
+   var frameHeightPerc = number("AF_verBorderWidth");
+   var frameWidthPerc = number("AF_horBorderWidth");
+   var placement = number("AF_verImagePlacement");
+
+   if (isNaN(frameHeightPerc) || isNaN(frameWidthPerc) || isNaN(placement))
+      return undefined;
+
+   //size of the image including the line
+   var width = imageView.image.width;
+   var height = imageView.image.height;
+   var lineFramedWidth = Math.round(width / (1 + frameWidthPerc / 100));
+   var lineFramedHeight = Math.round(height / (1 + frameHeightPerc / 100));
+
+   //vertical center of the frame as calculated by calculateDisplacement of version 0.31
+   var maxMoveFactor = (height - lineFramedHeight) / height;
+   var centerFactor = 0.5 - maxMoveFactor / 2 + maxMoveFactor * placement / 100;
+
+   return {
+      x: Math.round((width - lineFramedWidth) / 2) + lineWidth,
+      y: Math.round(height / 2 - centerFactor * lineFramedHeight) + lineWidth,
+      width: lineFramedWidth - 2 * lineWidth,
+      height: lineFramedHeight - 2 * lineWidth,
+      originalWidth: lineFramedWidth - 2 * lineWidth,
+      originalHeight: lineFramedHeight - 2 * lineWidth
+   };
+}
+
+/* isResampledFrame
+ * returns true if the image within a frame has been resampled by the print layout,
+ * the resolution of such an image cannot be restored by removing the frame
+ * PARAMETERS:
+    * region: position of the image from readFramedRegion
+ * RETURNS:
+    * true if the image has been resampled
+*/
+function isResampledFrame(region) {
+   return (region.width != region.originalWidth) ||
+      (region.height != region.originalHeight);
+}
 
-/* writeKVPToFitsHeader
- * writes a key-value-pair to the FITS header
+/* removeFrame
+ * crops a frame added by this script away in one history step. The stored settings
+ * are kept to reapply them, the AF_ keywords of an image framed by version 0.31 are
+ * removed since they describe the old frame. Throws an Error for images resampled by
+ * the print layout.
  * PARAMETERS:
-    * kvp: FITSKeyword
+    * imageView: image id
+    * region: position of the image from readFramedRegion
  * RETURNS:
     * nothing
 */
+function removeFrame(imageView, region) {
+   var record = readSettingsRecord(imageView);
+
+   if (isResampledFrame(region))
+      throw new Error("The image has been resampled by the print layout, its frame " +
+         "cannot be removed without losing resolution. Please frame the original image.");
+
+   imageView.beginProcess();
+   imageView.image.cropTo(new Rect(region.x, region.y,
+      region.x + region.width, region.y + region.height));
+
+   if (record == undefined)
+      imageView.window.keywords = removeSettingsKeywords(imageView.window.keywords);
+   else {
+      delete record.frame;
+      storeSettingsRecord(imageView, record);
+   }
+   imageView.endProcess();
+
+   loadHeader(imageView);
+}
 
-function writeKVPToFITSHeader(kvp) {
-   //instantionate kvp since push will only push reference to array
-   var kvpInstance = new FITSKeyword(kvp);
+/* findKVPFromFITSHeader
+ * find a specific key in a FITS header and return the whole KVP
+ * PARAMETERS:
+    * name: kvp with the name to be found
+ * RETURNS:
+    * FITSKeyword if found
+    * false if not found
+*/
+function findKVPFromFITSHeader(name) {
    var i;
+   for (i=0;i<header.length;i++) {
+      if (header[i].name == name) {
+         //need to create copy of object since it was passed by reference from array
+         var kvp = new FITSKeyword(header[i]);
+         //strip quote marks from value if the value is a string
+         if (kvp.isString)
+            kvp.value = kvp.value.slice(1,-1);
+         return kvp;
+      }
+   }
+
+   return false; //no kvp with name found
+}
+
+/* expandTemplate
+ * replaces placeholders in a text with values of FITS keywords from the header
+ * placeholder syntax: {KEYWORD[:format][|fallback]}
+    * KEYWORD: name of the FITS keyword, e.g. {OBJECT}, {DATE-OBS}
+    * format (optional):
+       * .N: number with N decimals, e.g. {FOCALLEN:.0}
+       * hm, hms: seconds as hours and minutes (and seconds), e.g. {EXPTIME:hm}
+       * h:mm: seconds as hours:minutes, e.g. {EXPTIME:h:mm}
+       * date=PATTERN: date with YYYY, YY, MM, MMM, DD, hh, mm, ss,
+         e.g. {DATE-OBS:date=DD MMM YYYY}
+    * fallback (optional): text used if the keyword is not in the header
+ * astrometric placeholders of plate solved images, see wcsPlaceholderValue:
+    * {WCS.RA}, {WCS.DEC}, {WCS.FOV[:deg|arcmin]}, {WCS.SCALE}, {WCS.ROTATION}, {WCS.RADESYS}
+ * placeholders of missing keywords without fallback are left unchanged
+ * {{ and }} are written as literal braces
+ * PARAMETERS:
+    * text: string containing placeholders
+    * escapeValues: true to escape markup characters of the inserted values and
+      braces, for texts drawn with markup (optional, see parseMarkup)
+ * RETURNS:
+    * string with expanded placeholders
+*/
+function expandTemplate(text, escapeValues) {
+   var escape = (value) => (escapeValues == true) ? escapeMarkup(value) : value;
+
+   return text.replace(/\{\{|\}\}|\{([^{}|:]+)(?::([^{}|]*))?(?:\|([^{}]*))?\}/g,
+      function(placeholder, name, format, fallback) {
+         //escaped braces
+         if (placeholder == "{{") return "{";
+         if (placeholder == "}}") return escape("}");
+
+         //astrometric values calculated from the WCS keywords
+         if (name.trim().toUpperCase().indexOf("WCS.") == 0) {
+            try {
+               var value = wcsPlaceholderValue(name.trim().toUpperCase(), format);
+               if (value != undefined) return escape(value);
+            }
+            catch (error) {
+               //image is not plate solved, reported by applyAnnotationFrame
+               if (fallback != undefined) return fallback;
+               return "";
+            }
+         }
+
+         var kvp = findKVPFromFITSHeader(name.trim().toUpperCase());
+         if (!kvp) {
+            if (fallback != undefined) return fallback;
+            return placeholder;
+         }
+
+         return escape(formatKeywordValue(kvp.value.trim(), format));
+      });
+}
+
+/* formatKeywordValue
+ * formats the value of a FITS keyword according to a placeholder format
+ * PARAMETERS:
+    * value: keyword value as string
+    * format: format of the placeholder (see expandTemplate), may be undefined
+ * RETURNS:
+    * formatted value as string, unformatted value if it cannot be formatted
+*/
+function formatKeywordValue(value, format) {
+   var number = parseFloat(value);
+
+   if ((format == undefined) || (format == ""))
+      return value;
+
+   //number with fixed number of decimals
+   if (/^\.\d+$/.test(format)) {
+      if (isNaN(number)) return value;
+      return number.toFixed(parseInt(format.slice(1)));
+   }
+
+   //durations in seconds
+   if ((format == "hm") || (format == "hms") || (format == "h:mm")) {
+      if (isNaN(number)) return value;
+      return formatDuration(number, format);
+   }
+
+   //dates
+   if (format.indexOf("date") == 0) {
+      var pattern = format.slice(format.indexOf("=") + 1);
+      if (format.indexOf("=") < 0) pattern = "YYYY-MM-DD";
+      return formatDate(value, pattern);
+   }
+
+   return value;
+}
+
+/* formatDuration
+ * formats a duration in seconds as hours and minutes
+ * PARAMETERS:
+    * seconds: duration in seconds
+    * format: "hm" (2h 05m), "hms" (2h 05m 30s) or "h:mm" (2:05)
+ * RETURNS:
+    * formatted duration as string
+*/
+function formatDuration(seconds, format) {
+   var totalSeconds = Math.round(seconds);
+   var hours, minutes;
+
+   //round to full minutes if seconds are not shown
+   if (format != "hms")
+      totalSeconds = Math.round(totalSeconds / 60) * 60;
+
+   hours = Math.floor(totalSeconds / 3600);
+   minutes = Math.floor((totalSeconds % 3600) / 60);
+   seconds = totalSeconds % 60;
+
+   switch(format) {
+      case "h:mm":
+         return hours + ":" + zeroPad(minutes, 2);
+      case "hms":
+         return hours + "h " + zeroPad(minutes, 2) + "m " + zeroPad(seconds, 2) + "s";
+      default:
+         return hours + "h " + zeroPad(minutes, 2) + "m";
+   }
+}
+
+/* formatDate
+ * formats a FITS date (YYYY-MM-DD[Thh:mm:ss[.sss]])
+ * PARAMETERS:
+    * value: FITS date string
+    * pattern: output pattern with YYYY, YY, MMM, MM, DD, hh, mm, ss
+ * RETURNS:
+    * formatted date as string, unformatted value if it is not a FITS date
+*/
+function formatDate(value, pattern) {
+   var monthNames = ["Jan", "Feb", "Mar", "Apr", "May", "Jun",
+      "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+   var parts =
+      /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}):(\d{2}))?/.exec(value);
+
+   if (parts == null)
+      return value;
+
+   var fields = {
+      YYYY: parts[1],
+      YY: parts[1].slice(2),
+      MMM: monthNames[parseInt(parts[2], 10) - 1],
+      MM: parts[2],
+      DD: parts[3],
+      hh: (parts[4] != undefined) ? parts[4] : "00",
+      mm: (parts[5] != undefined) ? parts[5] : "00",
+      ss: (parts[6] != undefined) ? parts[6] : "00"
+   };
+
+   return pattern.replace(/YYYY|YY|MMM|MM|DD|hh|mm|ss/g, function(field) {
+      return fields[field];
+   });
+}
+
+/* zeroPad
+ * adds leading zeros to a number
+ * PARAMETERS:
+    * number: integer
+    * digits: minimum number of digits
+ * RETURNS:
+    * string
+*/
+function zeroPad(number, digits) {
+   var text = number.toString();
+   while (text.length < digits)
+      text = "0" + text;
+   return text;
+}
+
+/* readWCS
+ * reads the astrometric solution of the image from the WCS keywords of the header
+ * PARAMETERS:
+    * none
+ * RETURNS:
+    * {crval1, crval2, crpix1, crpix2, cd11, cd12, cd21, cd22, radesys, width, height}
+      with the CD matrix in degrees per pixel and the size of the solved image
+    * throws an Error with a message for the user if the image is not plate solved
+*/
+function readWCS() {
+   var number = function(name) {
+      var kvp = findKVPFromFITSHeader(name);
+      return kvp ? parseFloat(kvp.value) : NaN;
+   };
+   var ctype1 = findKVPFromFITSHeader("CTYPE1");
+   var radesys = findKVPFromFITSHeader("RADESYS");
+   var wcs = {
+      crval1: number("CRVAL1"),
+      crval2: number("CRVAL2"),
+      crpix1: number("CRPIX1"),
+      crpix2: number("CRPIX2"),
+      radesys: radesys ? radesys.value.trim() : "",
+      width: wcsImageSize.width,
+      height: wcsImageSize.height
+   };
+
+   if (!ctype1 || isNaN(wcs.crval1) || isNaN(wcs.crval2) ||
+      isNaN(wcs.crpix1) || isNaN(wcs.crpix2))
+      throw new Error("The image is not plate solved: the WCS keywords CTYPE1, " +
+         "CRVAL1/2 and CRPIX1/2 are missing. Please solve the image with ImageSolver first.");
+
+   if ((wcs.width == 0) || (wcs.height == 0))
+      throw new Error("The astrometric solution refers to the image without its " +
+         "old frame. Please replace the old frame or frame the original image.");
+
+   if (ctype1.value.trim().toUpperCase().indexOf("RA") != 0)
+      throw new Error("The astrometric solution of the image does not use " +
+         "equatorial coordinates (CTYPE1 = " + ctype1.value.trim() + ").");
+
+   //CD matrix, or CDELT scales with PC matrix or CROTA2 rotation
+   if (!isNaN(number("CD1_1"))) {
+      wcs.cd11 = number("CD1_1");
+      wcs.cd12 = number("CD1_2") || 0;
+      wcs.cd21 = number("CD2_1") || 0;
+      wcs.cd22 = number("CD2_2") || 0;
+   }
+   else if (!isNaN(number("CDELT1")) && !isNaN(number("CDELT2"))) {
+      var cdelt1 = number("CDELT1");
+      var cdelt2 = number("CDELT2");
+      if (!isNaN(number("PC1_1"))) {
+         wcs.cd11 = cdelt1 * number("PC1_1");
+         wcs.cd12 = cdelt1 * (number("PC1_2") || 0);
+         wcs.cd21 = cdelt2 * (number("PC2_1") || 0);
+         wcs.cd22 = cdelt2 * (number("PC2_2") || 0);
+      }
+      else {
+         var rotation = (number("CROTA2") || 0) * Math.PI / 180;
+         wcs.cd11 = cdelt1 * Math.cos(rotation);
+         wcs.cd12 = -cdelt2 * Math.sin(rotation);
+         wcs.cd21 = cdelt1 * Math.sin(rotation);
+         wcs.cd22 = cdelt2 * Math.cos(rotation);
+      }
+   }
+   else {
+      throw new Error("The image is not plate solved: the WCS keywords CD1_1 ... CD2_2 " +
+         "or CDELT1/2 are missing.");
+   }
+
+   if ((wcs.cd11 * wcs.cd22 - wcs.cd12 * wcs.cd21) == 0)
+      throw new Error("The astrometric solution of the image is invalid.");
+
+   return wcs;
+}
+
+/* wcsPixelToCelestial
+ * converts image coordinates to equatorial coordinates with the gnomonic projection
+ * PARAMETERS:
+    * wcs: astrometric solution from readWCS
+    * x, y: image coordinates of the solved image, (0, 0) is the top left corner
+ * RETURNS:
+    * {ra, dec} in degrees
+*/
+function wcsPixelToCelestial(wcs, x, y) {
+   var rad = Math.PI / 180;
+
+   //FITS pixel coordinates count from 1 and from the bottom row
+   var dx = (x + 0.5) - wcs.crpix1;
+   var dy = (wcs.height + 0.5 - y) - wcs.crpix2;
+
+   //standard coordinates on the tangent plane
+   var xi = (wcs.cd11 * dx + wcs.cd12 * dy) * rad;
+   var eta = (wcs.cd21 * dx + wcs.cd22 * dy) * rad;
+
+   var dec0 = wcs.crval2 * rad;
+   var denominator = Math.cos(dec0) - eta * Math.sin(dec0);
+   var ra = wcs.crval1 + Math.atan2(xi, denominator) / rad;
+   var dec = Math.atan2(Math.sin(dec0) + eta * Math.cos(dec0),
+      Math.sqrt(xi * xi + denominator * denominator)) / rad;
+
+   return {ra: (ra % 360 + 360) % 360, dec: dec};
+}
+
+/* wcsPixelScale
+ * returns the pixel scale of the astrometric solution
+ * PARAMETERS:
+    * wcs: astrometric solution from readWCS
+ * RETURNS:
+    * degrees per pixel
+*/
+function wcsPixelScale(wcs) {
+   return Math.sqrt(Math.abs(wcs.cd11 * wcs.cd22 - wcs.cd12 * wcs.cd21));
+}
+
+/* wcsRotation
+ * returns the rotation angle of the astrometric solution as defined for CROTA2
+ * PARAMETERS:
+    * wcs: astrometric solution from readWCS
+ * RETURNS:
+    * angle in degrees from -180 to 180
+*/
+function wcsRotation(wcs) {
+   return Math.atan2(-wcs.cd12, wcs.cd22) * 180 / Math.PI;
+}
+
+/* formatRA
+ * formats a right ascension as hours, minutes and seconds
+ * PARAMETERS:
+    * ra: right ascension in degrees
+ * RETURNS:
+    * string, e.g. 20h 58m 47.1s
+*/
+function formatRA(ra) {
+   //tenths of seconds, rounded before splitting to avoid 60.0s
+   var tenths = Math.round(((ra % 360 + 360) % 360) / 15 * 36000) % 864000;
+   var hours = Math.floor(tenths / 36000);
+   var minutes = Math.floor(tenths % 36000 / 600);
+   var seconds = tenths % 600 / 10;
+
+   return zeroPad(hours, 2) + "h " + zeroPad(minutes, 2) + "m " +
+      (seconds < 10 ? "0" : "") + seconds.toFixed(1) + "s";
+}
+
+/* formatDec
+ * formats a declination as degrees, arc minutes and arc seconds
+ * PARAMETERS:
+    * dec: declination in degrees
+ * RETURNS:
+    * string, e.g. +44° 19′ 48″
+*/
+function formatDec(dec) {
+   var arcseconds = Math.round(Math.abs(dec) * 3600);
+   var degrees = Math.floor(arcseconds / 3600);
+   var minutes = Math.floor(arcseconds % 3600 / 60);
+
+   return ((dec < 0) ? "-" : "+") + zeroPad(degrees, 2) + "\u00B0 " +
+      zeroPad(minutes, 2) + "\u2032 " + zeroPad(arcseconds % 60, 2) + "\u2033";
+}
+
+/* formatFieldOfView
+ * formats the field of view of the image
+ * PARAMETERS:
+    * width, height: size of the field in degrees
+    * unit: "deg", "arcmin" or empty to use arc minutes for fields smaller than 1 degree
+ * RETURNS:
+    * string, e.g. 2.15° × 1.43°
+*/
+function formatFieldOfView(width, height, unit) {
+   if ((unit == "arcmin") || ((unit != "deg") && (Math.max(width, height) < 1)))
+      return (width * 60).toFixed(1) + "\u2032 \u00D7 " + (height * 60).toFixed(1) + "\u2032";
+   return width.toFixed(2) + "\u00B0 \u00D7 " + height.toFixed(2) + "\u00B0";
+}
+
+/* coordinateTickStep
+ * selects the distance of the RA or Dec ticks for a field of view
+ * PARAMETERS:
+    * span: extent of the field in degrees, for RA measured in hours times 15
+    * isRA: true to select a step in time units
+ * RETURNS:
+    * distance of the ticks in degrees
+*/
+function coordinateTickStep(span, isRA) {
+   //steps in seconds of time for RA and in arc minutes for Dec
+   var steps = isRA ?
+      [15, 30, 60, 120, 300, 600, 900, 1200, 1800, 3600, 7200, 10800] :
+      [1, 2, 5, 10, 15, 20, 30, 60, 120, 300, 600, 900, 1800];
+   var unit = isRA ? 1 / 240 : 1 / 60;
+   var i;
+
+   //between 3 and 6 ticks across the field
+   for (i=0;i<steps.length;i++) {
+      if (span / (steps[i] * unit) <= 6)
+         return steps[i] * unit;
+   }
+   return steps[steps.length - 1] * unit;
+}
+
+/* formatCoordinateLabel
+ * formats the label of a RA or Dec tick without the parts finer than the tick distance
+ * PARAMETERS:
+    * value: coordinate in degrees
+    * step: distance of the ticks in degrees
+    * isRA: true for a right ascension
+ * RETURNS:
+    * string, e.g. 20h 58m or +44° 30′
+*/
+function formatCoordinateLabel(value, step, isRA) {
+   var parts;
+
+   if (isRA) {
+      parts = formatRA(value).split(" ");
+      if (step >= 15)
+         return parts[0];
+      if (step >= 0.25)
+         return parts[0] + " " + parts[1];
+      return parts[0] + " " + parts[1] + " " + parts[2].replace(".0", "");
+   }
+
+   parts = formatDec(value).split(" ");
+   if (step >= 1)
+      return parts[0];
+   return parts[0] + " " + parts[1];
+}
+
+/* findCoordinateTicks
+ * finds the positions along an image edge where RA or Dec cross a multiple of the tick distance
+ * PARAMETERS:
+    * wcs: astrometric solution from readWCS
+    * edge: {x, y, dx, dy} start and direction of the edge in pixels of the solved image
+    * step: distance of the ticks in degrees
+    * isRA: true for RA ticks, false for Dec ticks
+ * RETURNS:
+    * array of {position, value} with position from 0 to 1 along the edge, sorted
+*/
+function findCoordinateTicks(wcs, edge, step, isRA) {
+   var samples = 256;
+   var ticks = [];
+   var previous, current, delta, k, i;
+
+   var coordinate = function(t) {
+      var point = wcsPixelToCelestial(wcs, edge.x + t * edge.dx, edge.y + t * edge.dy);
+      return isRA ? point.ra : point.dec;
+   };
+
+   previous = coordinate(0);
+   for (i=1;i<=samples;i++) {
+      current = coordinate(i / samples);
+
+      //RA wraps around at 0h
+      delta = current - previous;
+      if (isRA && (delta > 180)) delta -= 360;
+      if (isRA && (delta < -180)) delta += 360;
+
+      //interpolate all multiples of the step between the two samples
+      if (delta != 0) {
+         for (k = Math.ceil(Math.min(previous, previous + delta) / step);
+            k * step <= Math.max(previous, previous + delta); k++) {
+            ticks.push({
+               position: (i - 1 + (k * step - previous) / delta) / samples,
+               value: isRA ? (k * step % 360 + 360) % 360 : k * step
+            });
+         }
+      }
+      previous = current;
+   }
+
+   //a tick exactly on a sample is found twice
+   ticks.sort((a, b) => a.position - b.position);
+   return ticks.filter((tick, index) => (index == 0) ||
+      (Math.abs(tick.position - ticks[index - 1].position) > 1e-6) ||
+      (tick.value != ticks[index - 1].value));
+}
+
+/* addCoordinateTicks
+ * draws RA/Dec ticks and labels on the frame outside the lines around the image
+ * Needs to be called after the frame has been added. Images that are not plate
+ * solved are left without ticks.
+ * PARAMETERS:
+    * imageView: image id
+ * RETURNS:
+    * nothing
+*/
+function addCoordinateTicks(imageView) {
+   var wcs;
+   try {
+      wcs = readWCS();
+   }
+   catch (error) {
+      //reported by applyAnnotationFrame
+      return;
+   }
+
+   var image = imageView.image;
+   var color = bottomFont.fontColor;
+   var fontSize = allDimensions.tickFontSize;
+   if (fontSize < 1)
+      return;
+
+   //position and scale of the solved image within the framed image
+   var scale = allDimensions.imageWidth / wcs.width;
+   var imageLeft = (image.width - allDimensions.framedImageWidth) / 2 +
+      allDimensions.innerFrameThickness;
+   var imageTop = allDimensions.topPadding + allDimensions.titleBarHeight +
+      allDimensions.tickBand + allDimensions.innerFrameThickness;
+
+   //ticks start at the outer edge of the lines around the image
+   var tickStart = allDimensions.innerFrameThickness;
+   var tickEnd = tickStart + allDimensions.tickLength;
+   var labelDistance = tickEnd + 0.3 * fontSize;
+
+   //tick distances from the field of view at the image center
+   var center = wcsPixelToCelestial(wcs, wcs.width / 2, wcs.height / 2);
+   var fieldSize = Math.max(wcs.width, wcs.height) * wcsPixelScale(wcs);
+   var steps = {
+      ra: coordinateTickStep(Math.min(360,
+         fieldSize / Math.max(0.01, Math.cos(center.dec * Math.PI / 180))), true),
+      dec: coordinateTickStep(fieldSize, false)
+   };
+
+   //edges of the solved image with the outward direction and the area of the frame
+   var edges = [
+      {x: 0, y: 0, dx: wcs.width, dy: 0, nx: 0, ny: -1,
+         rect: new Rect(0, Math.floor(imageTop - tickStart - allDimensions.tickBand),
+            image.width, Math.ceil(imageTop - tickStart))},
+      {x: 0, y: wcs.height, dx: wcs.width, dy: 0, nx: 0, ny: 1,
+         rect: new Rect(0, Math.floor(imageTop + allDimensions.imageHeight + tickStart),
+            image.width, Math.ceil(imageTop + allDimensions.imageHeight + tickStart +
+               allDimensions.tickBand))},
+      {x: 0, y: 0, dx: 0, dy: wcs.height, nx: -1, ny: 0,
+         rect: new Rect(0, 0, Math.ceil(imageLeft - tickStart), image.height)},
+      {x: wcs.width, y: 0, dx: 0, dy: wcs.height, nx: 1, ny: 0,
+         rect: new Rect(Math.floor(imageLeft + allDimensions.imageWidth + tickStart), 0,
+            image.width, image.height)}
+   ];
+
+   var font = createTextFont(bottomFont.fontName, fontSize);
+   var e, i, edge, ticks, tick, x, y, along, label, labelWidth, lastEnd;
+
+   for (e=0;e<edges.length;e++) {
+      edge = edges[e];
+      if ((edge.rect.width <= 0) || (edge.rect.height <= 0))
+         continue;
+
+      //RA and Dec ticks of the edge, sorted along the edge
+      ticks = [];
+      [true, false].forEach((isRA) => {
+         findCoordinateTicks(wcs, edge, isRA ? steps.ra : steps.dec, isRA).forEach((tick) => {
+            tick.isRA = isRA;
+            ticks.push(tick);
+         });
+      });
+      ticks.sort((a, b) => a.position - b.position);
+
+      var bitmap = new Bitmap(edge.rect.width, edge.rect.height);
+      bitmap.fill(0x00000000);   //transparent
+
+      var G = new VectorGraphics(bitmap);
+      G.antialiasing = true;
+      G.textAntialiasing = true;
+      G.font = font;
+      G.pen = new Pen(color, Math.max(1, fontSize / 10));
+
+      lastEnd = -Infinity;
+      for (i=0;i<ticks.length;i++) {
+         tick = ticks[i];
+
+         //tick position on the frame relative to the bitmap
+         x = imageLeft + (edge.x + tick.position * edge.dx) * scale - edge.rect.x0;
+         y = imageTop + (edge.y + tick.position * edge.dy) * scale - edge.rect.y0;
+         G.drawLine(x + edge.nx * tickStart, y + edge.ny * tickStart,
+            x + edge.nx * tickEnd, y + edge.ny * tickEnd);
+
+         //labels that would overlap the previous label of the edge are left out
+         label = formatCoordinateLabel(tick.value,
+            tick.isRA ? steps.ra : steps.dec, tick.isRA);
+         labelWidth = font.width(label);
+         along = (edge.dx != 0) ? x : y;
+         if (along - labelWidth / 2 < lastEnd + fontSize)
+            continue;
+         lastEnd = along + labelWidth / 2;
+
+         if (edge.ny != 0) {
+            //labels above and below the image are horizontal
+            G.drawText(x - labelWidth / 2, (edge.ny < 0) ?
+               y - labelDistance - font.descent : y + labelDistance + font.ascent, label);
+         }
+         else {
+            //labels left and right of the image are parallel to the edge,
+            //with the bottom of the text towards the image
+            G.translateTransformation(x + edge.nx * labelDistance, y);
+            G.rotateTransformation(edge.nx * Math.PI / 2);
+            G.drawText(-labelWidth / 2, -font.descent, label);
+            G.resetTransformation();
+         }
+      }
+      G.end();
+
+      imageView.beginProcess();
+      image.blend(bitmap, new Point(edge.rect.x0, edge.rect.y0));
+      imageView.endProcess();
+   }
+}
+
+/* wcsPlaceholderValue
+ * returns the value of an astrometric placeholder
+    * WCS.RA, WCS.DEC: coordinates of the image center
+    * WCS.FOV: field of view, format deg or arcmin selects the unit
+    * WCS.SCALE: pixel scale in arc seconds per pixel
+    * WCS.ROTATION: rotation angle, mirrored images are marked as flipped
+    * WCS.RADESYS: reference system of the coordinates
+ * PARAMETERS:
+    * name: name of the placeholder in upper case
+    * format: format of the placeholder, may be undefined
+ * RETURNS:
+    * string, undefined for unknown placeholders
+    * throws an Error if the image is not plate solved
+*/
+function wcsPlaceholderValue(name, format) {
+   var wcs = readWCS();
+   var center = wcsPixelToCelestial(wcs, wcs.width / 2, wcs.height / 2);
+   var scale = wcsPixelScale(wcs);
+
+   switch (name) {
+      case "WCS.RA":
+         return formatRA(center.ra);
+      case "WCS.DEC":
+         return formatDec(center.dec);
+      case "WCS.FOV":
+         return formatFieldOfView(wcs.width * scale, wcs.height * scale,
+            (format == undefined) ? "" : format.trim().toLowerCase());
+      case "WCS.SCALE":
+         return (scale * 3600).toFixed(2) + "\u2033/px";
+      case "WCS.ROTATION":
+         //a positive determinant means east and west are swapped
+         return wcsRotation(wcs).toFixed(1) + "\u00B0" +
+            (((wcs.cd11 * wcs.cd22 - wcs.cd12 * wcs.cd21) > 0) ? " (flipped)" : "");
+      case "WCS.RADESYS":
+         return wcs.radesys;
+      default:
+         return undefined;
+   }
+}
+
+/* templatesUseWCS
+ * returns true if the title or a bottom text contains an astrometric placeholder
+ * PARAMETERS:
+    * none
+ * RETURNS:
+    * true or false
+*/
+function templatesUseWCS() {
+   var texts = [annotationFrameParameters.titleText, annotationFrameParameters.subtitleText];
+   var i;
+
+   for (i=0;i<columnBlocks.length;i++)
+      texts = texts.concat(annotationFrameParameters.bottomText[columnBlocks[i].block]);
+
+   return texts.some((text) => /\{\s*WCS\./i.test(text));
+}
+
+/* normalizeFilterName
+ * simplifies a filter name to compare the names of the legend with the FILTER keyword
+ * PARAMETERS:
+    * name: filter name, e.g. "H-alpha", "Ha" or "H\u03B1 7nm"
+ * RETURNS:
+    * name in lower case without spaces, punctuation and bandwidth
+*/
+function normalizeFilterName(name) {
+   var normalized = name.toLowerCase().replace(/\d+(\.\d+)?\s*nm/, "")
+      .replace(/\u03B1|alpha/g, "a").replace(/[^a-z0-9]/g, "");
+   var aliases = {s2: "sii", o3: "oiii", lum: "l", luminance: "l", red: "r",
+      green: "g", blue: "b"};
+
+   return (normalized in aliases) ? aliases[normalized] : normalized;
+}
+
+/* readLegendTimes
+ * sets the integration time of the legend entry that matches the FILTER keyword
+ * to EXPTIME times NCOMBINE
+ * PARAMETERS:
+    * none
+ * RETURNS:
+    * filter name of the header, empty if no legend entry matches
+*/
+function readLegendTimes() {
+   var filter = findKVPFromFITSHeader("FILTER");
+   var exposure = findKVPFromFITSHeader("EXPTIME") || findKVPFromFITSHeader("EXPOSURE");
+   var frames = findKVPFromFITSHeader("NCOMBINE");
+
+   if (!filter || !exposure)
+      return "";
+
+   var seconds = parseFloat(exposure.value) * (frames ? parseInt(frames.value) : 1);
+   var entry = annotationFrameParameters.legend.find((entry) =>
+      (entry.filter.trim().length > 0) &&
+      (normalizeFilterName(entry.filter) == normalizeFilterName(filter.value)));
+
+   if (!entry || isNaN(seconds))
+      return "";
+
+   entry.time = formatDuration(seconds, "hm");
+   return filter.value.trim();
+}
+
+/* retreiveValuesFromFITSHeader
+ * retrieves stored values from the settings record of the image and writes
+ * annotationFrameParameters. Images framed by version 0.31 store the values as AF_
+ * keywords, values that are not present in FITS header will not be written.
+ * PARAMETERS:
+    * imageView: image id, the FITS header has to be loaded with loadHeader
+ * RETURNS:
+    * nothing
+*/
+function retrieveValuesFromFITSHeader(imageView) {
+   var FITSword;
+
+   var record = readSettingsRecord(imageView);
+   if (record != undefined) {
+      //the output settings of the current run are kept
+      applySettings(imageSettings(record.settings));
+      return;
+   }
+
+   //migrate the AF_ keywords written by version 0.31, they are replaced by the
+   //settings record when the image is framed again
+
+   FITSword = findKVPFromFITSHeader("AF_imageTitle").value;
+   if (FITSword) annotationFrameParameters.titleText = FITSword;
+
+   //bottom texts, version 0.31 drew three lines per column
+   var i, line, column;
+   for (i=0;i<columnBlocks.length;i++) {
+      column = columnBlocks[i];
+
+      for (line=0;line<3;line++) {
+         FITSword = findKVPFromFITSHeader("AF_bottom" + column.name + "Text" + (line + 1)).value;
+         if (FITSword) {
+            annotationFrameParameters.bottomText[column.block][line] = FITSword;
+            annotationFrameParameters.linesPerColumn[column.block] = 3;
+         }
+      }
+   }
+
+   //frame geometry values
+   FITSword = findKVPFromFITSHeader("AF_verImagePlacement").value;
+   if (FITSword) verticalImageOffset = parseFloat(FITSword);
+
+   FITSword = findKVPFromFITSHeader("AF_verBorderWidth").value;
+   if (FITSword) frameHeightIncPerc = parseFloat(FITSword);
+
+   FITSword = findKVPFromFITSHeader("AF_horBorderWidth").value;
+   if (FITSword) frameWidthIncPerc = parseFloat(FITSword);
+
+   verticalImageFactor = calculateDisplacement(verticalImageOffset);
+
+   //fonts
+   FITSword = findKVPFromFITSHeader("AF_titleFont").value;
+   if (FITSword) titleFont.fontName = FITSword;
+
+   FITSword = findKVPFromFITSHeader("AF_annotationFont").value;
+   if (FITSword) bottomFont.fontName = FITSword;
+}
+
+
+/* writeValuesToFITSHeader
+ * stores all settings as settings record in the image
+ * PARAMETERS:
+    * imageView: image id
+ * RETURNS:
+    * nothing
+*/
+function writeValuesToFITSHeader(imageView) {
+   imageView.beginProcess(UndoFlag_NoSwapFile);
+   storeSettingsRecord(imageView, {version: settingsRecord.version,
+      settings: imageSettings(getSettings())});
+   imageView.endProcess();
+
+   //write message to the console
+   Console.writeln("Values are stored in the XISF properties and the FITS header of file.");
+}
+
+/* writeFramedRegion
+ * stores the position of the image within the frame and the size of the image before
+ * framing in the settings record, so the frame can be removed by removeFrame.
+ * Needs to be called after the frame has been added.
+ * PARAMETERS:
+    * imageView: image id of the framed image
+    * originalWidth, originalHeight: size of the image before framing
+ * RETURNS:
+    * nothing
+*/
+function writeFramedRegion(imageView, originalWidth, originalHeight) {
+   var record = readSettingsRecord(imageView) ||
+      {version: settingsRecord.version, settings: imageSettings(getSettings())};
+
+   //the frame is centered horizontally, a print layout also centers it vertically
+   var x = (imageView.image.width - allDimensions.framedImageWidth) / 2 +
+      allDimensions.innerFrameThickness;
+   var y = (imageView.image.height - allDimensions.outerFrameHeight) / 2 +
+      allDimensions.topPadding + allDimensions.titleBarHeight +
+      allDimensions.tickBand + allDimensions.innerFrameThickness;
+
+   record.frame = {
+      x: Math.round(x),
+      y: Math.round(y),
+      width: allDimensions.imageWidth,
+      height: allDimensions.imageHeight,
+      originalWidth: originalWidth,
+      originalHeight: originalHeight
+   };
+
+   imageView.beginProcess(UndoFlag_NoSwapFile);
+   storeSettingsRecord(imageView, record);
+   imageView.endProcess();
+}
+
+/* storeSettingsRecord
+ * writes the settings record as XISF property and as FITS keywords, AF_ keywords
+ * of version 0.31 are removed. Needs to be called between beginProcess and endProcess.
+ * PARAMETERS:
+    * imageView: image id
+    * record: {version, settings, frame}
+ * RETURNS:
+    * nothing
+*/
+function storeSettingsRecord(imageView, record) {
+   //non-ASCII characters are escaped since FITS keywords are ASCII only
+   var text = JSON.stringify(record).replace(/[\u0080-\uFFFF]/g,
+      (character) => "\\u" + zeroPad(character.charCodeAt(0).toString(16), 4));
+
+   imageView.setPropertyValue(settingsRecord.property, text, PropertyType_String,
+      PropertyAttribute_Storable | PropertyAttribute_Permanent);
+
+   var keywords = removeSettingsKeywords(imageView.window.keywords);
+   if (!keywords.some((keyword) => keyword.name == "LONGSTRN"))
+      keywords.push(new FITSKeyword("LONGSTRN", "'OGIP 1.0'",
+         "The OGIP long string convention may be used"));
+   imageView.window.keywords = keywords.concat(settingsToFITSKeywords(text));
+}
+
+/* readSettingsRecord
+ * reads the settings record from the XISF property or from the FITS keywords
+ * PARAMETERS:
+    * imageView: image id
+ * RETURNS:
+    * {version, settings, frame}, undefined if the image has no settings record
+*/
+function readSettingsRecord(imageView) {
+   var text;
+
+   if (imageView.hasProperty(settingsRecord.property))
+      text = imageView.propertyValue(settingsRecord.property);
+   else
+      text = settingsFromFITSKeywords(imageView.window.keywords);
+
+   if ((text == undefined) || (text.length == 0))
+      return undefined;
+
+   try {
+      var record = JSON.parse(text);
+   }
+   catch (error) {
+      Console.warningln("The stored settings of " + imageView.id +
+         " could not be read: " + error.message);
+      return undefined;
+   }
+
+   if ((record.version == undefined) || (record.settings == undefined))
+      return undefined;
+   if (record.version > settingsRecord.version)
+      Console.warningln("The settings of " + imageView.id + " have been stored by a " +
+         "newer version of the script, some settings may be ignored.");
+
+   return record;
+}
+
+/* settingsToFITSKeywords
+ * splits the settings record into FITS keywords with the CONTINUE long string convention
+ * PARAMETERS:
+    * text: settings record as JSON with ASCII characters only
+ * RETURNS:
+    * array of FITSKeyword
+*/
+function settingsToFITSKeywords(text) {
+   //a FITS string value holds 68 characters including quotes and continuation mark,
+   //apostrophes are doubled and may not be split
+   var maxLength = 64;
+   var chunks = [];
+   var chunk = "";
+   var i, escaped;
+
+   for (i=0;i<text.length;i++) {
+      escaped = (text.charAt(i) == "'") ? "''" : text.charAt(i);
+      if (chunk.length + escaped.length > maxLength) {
+         chunks.push(chunk);
+         chunk = "";
+      }
+      chunk += escaped;
+   }
+   chunks.push(chunk);
+
+   return chunks.map((chunk, index) => new FITSKeyword(
+      (index == 0) ? settingsRecord.keyword : "CONTINUE",
+      "'" + chunk + ((index < chunks.length - 1) ? "&" : "") + "'",
+      (index == 0) ? "AnnotationFrame settings v" + settingsRecord.version : ""));
+}
+
+/* settingsFromFITSKeywords
+ * joins the settings record from the FITS keywords written by settingsToFITSKeywords
+ * PARAMETERS:
+    * keywords: array of FITSKeyword
+ * RETURNS:
+    * settings record as JSON, undefined if the keywords do not contain a record
+*/
+function settingsFromFITSKeywords(keywords) {
+   var start = keywords.findIndex((keyword) => keyword.name == settingsRecord.keyword);
+   var text = "";
+   var i, value;
+
+   if (start < 0)
+      return undefined;
+
+   for (i=start;i<keywords.length;i++) {
+      if ((i > start) && (keywords[i].name != "CONTINUE"))
+         break;
+
+      //remove quotes and continuation mark, restore apostrophes
+      value = keywords[i].value.trim();
+      if ((value.charAt(0) == "'") && (value.charAt(value.length - 1) == "'"))
+         value = value.slice(1, -1);
+      value = value.replace(/''/g, "'");
+      if (value.charAt(value.length - 1) != "&")
+         return text + value;
+      text += value.slice(0, -1);
+   }
+   return text;
+}
+
+/* removeSettingsKeywords
+ * removes the keywords of the settings record and the AF_ keywords of version 0.31
+ * PARAMETERS:
+    * keywords: array of FITSKeyword
+ * RETURNS:
+    * array of the remaining FITSKeyword
+*/
+function removeSettingsKeywords(keywords) {
+   var continued = false;
+
+   return keywords.filter((keyword) => {
+      var isRecord = (keyword.name == settingsRecord.keyword) ||
+         (continued && (keyword.name == "CONTINUE"));
+
+      //CONTINUE keywords follow as long as the value ends with the continuation mark
+      continued = isRecord && /&'\s*$/.test(keyword.value);
+      return !isRecord && (keyword.name.indexOf("AF_") != 0);
+   });
+}
+
+/* copySettingsProperty
+ * copies the settings record stored as XISF property from one image to another
+ * PARAMETERS:
+    * sourceView: image id of the image with the record
+    * targetView: image id
+ * RETURNS:
+    * nothing
+*/
+function copySettingsProperty(sourceView, targetView) {
+   if (sourceView.hasProperty(settingsRecord.property))
+      targetView.setPropertyValue(settingsRecord.property,
+         sourceView.propertyValue(settingsRecord.property), PropertyType_String,
+         PropertyAttribute_Storable | PropertyAttribute_Permanent);
+   else if (targetView.hasProperty(settingsRecord.property))
+      targetView.deleteProperty(settingsRecord.property);
+}
+
+/* getSettings
+ * returns a copy of all settings of the script
+ * PARAMETERS:
+    * none
+ * RETURNS:
+    * settings object that can be converted to JSON and applied with applySettings
+*/
+function getSettings() {
+   var parameters = {};
+   var key;
+
+   //the target image is not a setting
+   for (key in annotationFrameParameters) {
+      if (key != "imageView")
+         parameters[key] = annotationFrameParameters[key];
+   }
+
+   var settings = JSON.parse(JSON.stringify({
+      parameters: parameters,
+      titleFont: titleFont,
+      subtitleFont: subtitleFont,
+      bottomFont: bottomFont,
+      frameColors: frameColors,
+      printSettings: printSettings,
+      exportSettings: exportSettings,
+      geometry: {
+         frameHeightIncPerc: frameHeightIncPerc,
+         frameWidthIncPerc: frameWidthIncPerc,
+         verticalImageOffset: verticalImageOffset
+      }
+   }));
+
+   //font sizes are calculated from the image
+   delete settings.titleFont.fontSize;
+   delete settings.subtitleFont.fontSize;
+   delete settings.bottomFont.fontSize;
+
+   return settings;
+}
+
+/* imageSettings
+ * removes the output settings of a run, the print layout and the renditions, from
+ * a settings object, the settings record of an image only holds the settings of its frame
+ * PARAMETERS:
+    * settings: settings object as returned by getSettings
+ * RETURNS:
+    * the settings object without printSettings and exportSettings
+*/
+function imageSettings(settings) {
+   delete settings.printSettings;
+   delete settings.exportSettings;
+
+   return settings;
+}
+
+/* copySettingValues
+ * copies the values of a settings object to the properties with the same name
+ * of a target object, unknown properties are ignored
+ * PARAMETERS:
+    * source: object with values, may be undefined
+    * target: object to write to
+ * RETURNS:
+    * nothing
+*/
+function copySettingValues(source, target) {
+   var key;
+
+   if (source == undefined)
+      return;
+
+   for (key in source) {
+      if ((key in target) && (key != "imageView"))
+         target[key] = JSON.parse(JSON.stringify(source[key]));
+   }
+}
+
+/* applySettings
+ * applies a settings object as returned by getSettings
+ * PARAMETERS:
+    * settings: settings object, settings that are not present are not changed
+ * RETURNS:
+    * nothing
+*/
+function applySettings(settings) {
+   copySettingValues(settings.parameters, annotationFrameParameters);
+   copySettingValues(settings.titleFont, titleFont);
+   copySettingValues(settings.subtitleFont, subtitleFont);
+   copySettingValues(settings.bottomFont, bottomFont);
+   copySettingValues(settings.frameColors, frameColors);
+   copySettingValues(settings.printSettings, printSettings);
+   copySettingValues(settings.exportSettings, exportSettings);
+
+   if (settings.geometry != undefined) {
+      if (settings.geometry.frameHeightIncPerc != undefined)
+         frameHeightIncPerc = settings.geometry.frameHeightIncPerc;
+      if (settings.geometry.frameWidthIncPerc != undefined)
+         frameWidthIncPerc = settings.geometry.frameWidthIncPerc;
+      if (settings.geometry.verticalImageOffset != undefined)
+         verticalImageOffset = settings.geometry.verticalImageOffset;
+   }
+   verticalImageFactor = calculateDisplacement(verticalImageOffset);
+}
+
+/* forEachSettingValue
+ * calls a function for every single value of a settings object
+ * PARAMETERS:
+    * object: settings object as returned by getSettings, or a part of it
+    * prefix: prefix of the parameter names of the values of object
+    * callback: function(name, object, key) with the parameter name of a value
+      and the object and key holding the value
+ * RETURNS:
+    * nothing
+*/
+function forEachSettingValue(object, prefix, callback) {
+   var key;
+
+   for (key in object) {
+      if (typeof object[key] == "object")
+         forEachSettingValue(object[key], prefix + key + "_", callback);
+      else
+         callback(prefix + key, object, key);
+   }
+}
+
+/* forEachParameter
+ * calls a function for every value of a settings object with the name of its
+ * process instance parameter, e.g. titleText, bottomText_left_0 or titleFont_bold
+ * PARAMETERS:
+    * settings: settings object as returned by getSettings
+    * callback: function(name, object, key), see forEachSettingValue
+ * RETURNS:
+    * nothing
+*/
+function forEachParameter(settings, callback) {
+   var group;
+
+   for (group in settings) {
+      forEachSettingValue(settings[group],
+         (group == "parameters") ? "" : group + "_", callback);
+   }
+}
+
+/* exportParameters
+ * stores all settings as parameters of the script instance
+ * PARAMETERS:
+    * none
+ * RETURNS:
+    * nothing
+*/
+function exportParameters() {
+   forEachParameter(getSettings(), (name, object, key) => {
+      Parameters.set(name, object[key]);
+   });
+}
+
+/* importParameters
+ * applies the parameters of the script instance, settings without parameter
+ * are not changed
+ * PARAMETERS:
+    * none
+ * RETURNS:
+    * nothing
+*/
+function importParameters() {
+   var settings = getSettings();
+
+   forEachParameter(settings, (name, object, key) => {
+      if (!Parameters.has(name))
+         return;
+
+      switch (typeof object[key]) {
+         case "boolean":
+            object[key] = Parameters.getBoolean(name);
+            break;
+         case "number":
+            object[key] = Parameters.getReal(name);
+            break;
+         default:
+            object[key] = Parameters.getString(name);
+      }
+   });
+
+   applySettings(settings);
+}
+
+/* readPresets
+ * reads all presets from the PixInsight settings
+ * PARAMETERS:
+    * none
+ * RETURNS:
+    * object with the settings of each preset by name
+*/
+function readPresets() {
+   var presets = {};
+   var text = Settings.read(settingsKeys.presets, DataType_String);
+
+   if (Settings.lastReadOK && text) {
+      try {
+         presets = JSON.parse(text);
+      }
+      catch (error) {
+         Console.warningln("Stored presets could not be read: " + error.message);
+      }
+   }
+   return presets;
+}
+
+/* writePresets
+ * writes all presets to the PixInsight settings
+ * PARAMETERS:
+    * presets: object with the settings of each preset by name
+ * RETURNS:
+    * nothing
+*/
+function writePresets(presets) {
+   Settings.write(settingsKeys.presets, DataType_String, JSON.stringify(presets));
+}
+
+/* savePreset
+ * stores the current settings as preset, an existing preset is replaced
+ * PARAMETERS:
+    * name: name of the preset
+ * RETURNS:
+    * nothing
+*/
+function savePreset(name) {
+   var presets = readPresets();
+   presets[name] = getSettings();
+   writePresets(presets);
+}
+
+/* loadPreset
+ * applies the settings of a preset
+ * PARAMETERS:
+    * name: name of the preset
+ * RETURNS:
+    * true if the preset exists, otherwise false
+*/
+function loadPreset(name) {
+   var presets = readPresets();
+
+   if (!(name in presets))
+      return false;
+
+   applySettings(presets[name]);
+   return true;
+}
+
+/* renamePreset
+ * renames a preset, the default preset keeps being the default
+ * PARAMETERS:
+    * oldName: current name of the preset
+    * newName: new name of the preset, an existing preset with this name is replaced
+ * RETURNS:
+    * nothing
+*/
+function renamePreset(oldName, newName) {
+   var presets = readPresets();
+
+   if (!(oldName in presets) || (oldName == newName))
+      return;
+
+   presets[newName] = presets[oldName];
+   delete presets[oldName];
+   writePresets(presets);
+
+   if (readDefaultPresetName() == oldName)
+      writeDefaultPresetName(newName);
+}
+
+/* deletePreset
+ * deletes a preset, if it is the default preset there is no default anymore
+ * PARAMETERS:
+    * name: name of the preset
+ * RETURNS:
+    * nothing
+*/
+function deletePreset(name) {
+   var presets = readPresets();
+
+   delete presets[name];
+   writePresets(presets);
+
+   if (readDefaultPresetName() == name)
+      writeDefaultPresetName("");
+}
+
+/* readDefaultPresetName
+ * returns the name of the preset loaded when the script starts
+ * PARAMETERS:
+    * none
+ * RETURNS:
+    * name of the preset, empty string if there is no default preset
+*/
+function readDefaultPresetName() {
+   var name = Settings.read(settingsKeys.defaultPreset, DataType_String);
+
+   if (Settings.lastReadOK && name)
+      return name;
+   return "";
+}
+
+/* writeDefaultPresetName
+ * sets the preset loaded when the script starts
+ * PARAMETERS:
+    * name: name of the preset, empty string for no default preset
+ * RETURNS:
+    * nothing
+*/
+function writeDefaultPresetName(name) {
+   Settings.write(settingsKeys.defaultPreset, DataType_String, name);
+}
+
+/*
+ * colorSelector
+ * control to select a color and its opacity
+ * PARAMETERS:
+    * parent: parent control
+    * toolTip: tool tip of the color selection
+ * RETURNS:
+    * nothing
+ */
+function colorSelector(parent, toolTip) {
+   this.__base__ = Control;
+   this.__base__(parent);
+
+   //selected color as 0xAARRGGBB
+   this.color = 0xFF000000;
+
+   //function(color) called whenever color or opacity are changed by the user
+   this.onColorChanged = undefined;
+
+   this.colorComboBox = new ColorComboBox(this);
+   this.colorComboBox.toolTip = toolTip;
+   this.colorComboBox.onColorSelected = (rgba) => {
+      this.color = colorComponent(this.color, 24) * 0x1000000 + (rgba & 0xFFFFFF);
+      if (this.onColorChanged != undefined)
+         this.onColorChanged(this.color);
+   };
+
+   this.opacitySpinBox = new SpinBox(this);
+   this.opacitySpinBox.setRange(0, 100);
+   this.opacitySpinBox.toolTip = "Opacity in %";
+   this.opacitySpinBox.onValueUpdated = (value) => {
+      this.color = Math.round(value * 2.55) * 0x1000000 + (this.color & 0xFFFFFF);
+      if (this.onColorChanged != undefined)
+         this.onColorChanged(this.color);
+   };
+
+   this.opacityLabel = new Label(this);
+   this.opacityLabel.text = "%";
+
+   //sets the color shown by the control
+   this.setColor = function(color) {
+      this.color = color;
+      this.colorComboBox.setCurrentColor(0xFF000000 + (color & 0xFFFFFF));
+      this.opacitySpinBox.value = Math.round(colorComponent(color, 24) / 2.55);
+   };
+
+   this.sizer = new HorizontalSizer;
+   this.sizer.add(this.colorComboBox, 100);
+   this.sizer.addSpacing(4);
+   this.sizer.add(this.opacitySpinBox);
+   this.sizer.addSpacing(2);
+   this.sizer.add(this.opacityLabel);
+}
+
+colorSelector.prototype = new Control;
+
+/*
+ * presetNameDialog
+ * dialog to enter the name of a preset
+ * PARAMETERS:
+    * caption: window title of the dialog
+    * name: initial name
+ * RETURNS:
+    * nothing, the entered name is available as property name after execution
+ */
+function presetNameDialog(caption, name) {
+   this.__base__ = Dialog;
+   this.__base__();
+
+   this.windowTitle = caption;
+   this.name = name;
+
+   this.nameLabel = new Label(this);
+   this.nameLabel.text = "Preset name:";
+
+   this.nameEdit = new Edit(this);
+   this.nameEdit.minWidth = 300;
+   this.nameEdit.text = name;
+   this.nameEdit.onTextUpdated = () => {
+      this.name = this.nameEdit.text.trim();
+      this.okButton.enabled = this.name.length > 0;
+   };
+
+   this.okButton = new PushButton(this);
+   this.okButton.text = "OK";
+   this.okButton.enabled = name.length > 0;
+   this.okButton.onClick = () => {
+      this.ok();
+   };
+
+   this.cancelButton = new PushButton(this);
+   this.cancelButton.text = "Cancel";
+   this.cancelButton.onClick = () => {
+      this.cancel();
+   };
+
+   this.nameSizer = new HorizontalSizer;
+   this.nameSizer.add(this.nameLabel);
+   this.nameSizer.addSpacing(8);
+   this.nameSizer.add(this.nameEdit, 100);
+
+   this.buttonSizer = new HorizontalSizer;
+   this.buttonSizer.addStretch();
+   this.buttonSizer.add(this.cancelButton);
+   this.buttonSizer.addSpacing(8);
+   this.buttonSizer.add(this.okButton);
+
+   this.sizer = new VerticalSizer;
+   this.sizer.margin = 8;
+   this.sizer.add(this.nameSizer);
+   this.sizer.addSpacing(8);
+   this.sizer.add(this.buttonSizer);
+
+   this.adjustToContents();
+}
+
+presetNameDialog.prototype = new Dialog;
+
+/*
+ * batchDialog
+ * dialog to select the images and the output of the batch framing,
+ * the selection is stored in batchParameters
+ * RETURNS:
+    * nothing
+ */
+function batchDialog() {
+   this.__base__ = Dialog;
+   this.__base__();
+
+   this.windowTitle = "Batch Framing";
+   this.userResizable = true;
+   this.scaledMinWidth = 600;
+
+   this.infoLabel = new Label(this);
+   this.infoLabel.wordWrapping = true;
+   this.infoLabel.text = "The images are framed with the current settings. " +
+      "Settings stored in an image by this script override the settings for this image.";
+
+   // list of the images to be framed
+   this.filesTreeBox = new TreeBox(this);
+   this.filesTreeBox.headerVisible = false;
+   this.filesTreeBox.rootDecoration = false;
+   this.filesTreeBox.multipleSelection = true;
+   this.filesTreeBox.numberOfColumns = 1;
+   this.filesTreeBox.minHeight = 200;
+
+   this.updateFileList = function() {
+      var i, node;
+
+      this.filesTreeBox.clear();
+      for (i=0;i<batchParameters.files.length;i++) {
+         node = new TreeBoxNode(this.filesTreeBox);
+         node.setText(0, batchParameters.files[i]);
+      }
+      this.runButton.enabled = batchParameters.files.length > 0;
+   };
+
+   this.addFiles = function(files) {
+      var i;
+
+      for (i=0;i<files.length;i++) {
+         if (batchParameters.files.indexOf(files[i]) < 0)
+            batchParameters.files.push(files[i]);
+      }
+      this.updateFileList();
+   };
+
+   this.addFilesButton = new PushButton(this);
+   this.addFilesButton.text = "Add Files";
+   this.addFilesButton.onClick = () => {
+      var fileDialog = new OpenFileDialog;
+      fileDialog.caption = "Select Images";
+      fileDialog.multipleSelections = true;
+      fileDialog.filters = [["Image files"].concat(batchExtensions.map(
+         (extension) => "*" + extension))];
+      if (fileDialog.execute())
+         this.addFiles(fileDialog.fileNames);
+   };
+
+   this.addDirectoryButton = new PushButton(this);
+   this.addDirectoryButton.text = "Add Directory";
+   this.addDirectoryButton.toolTip = "<p>Add all images of a directory.</p>";
+   this.addDirectoryButton.onClick = () => {
+      var directoryDialog = new GetDirectoryDialog;
+      directoryDialog.caption = "Select Image Directory";
+      if (directoryDialog.execute())
+         this.addFiles(findBatchFiles(directoryDialog.directory));
+   };
+
+   this.removeButton = new PushButton(this);
+   this.removeButton.text = "Remove";
+   this.removeButton.onClick = () => {
+      var i;
+
+      for (i=this.filesTreeBox.numberOfChildren-1;i>=0;i--) {
+         if (this.filesTreeBox.child(i).selected)
+            batchParameters.files.splice(i, 1);
+      }
+      this.updateFileList();
+   };
+
+   this.clearButton = new PushButton(this);
+   this.clearButton.text = "Clear";
+   this.clearButton.onClick = () => {
+      batchParameters.files = [];
+      this.updateFileList();
+   };
+
+   // output directory
+   this.outputDirectoryLabel = new Label(this);
+   this.outputDirectoryLabel.text = "Output directory:";
+   this.outputDirectoryLabel.minWidth = 120;
+
+   this.outputDirectoryEdit = new Edit(this);
+   this.outputDirectoryEdit.text = batchParameters.outputDirectory;
+   this.outputDirectoryEdit.toolTip = "<p>Directory of the framed images. " +
+      "Leave empty to save each framed image next to its image.</p>";
+   this.outputDirectoryEdit.onTextUpdated = () => {
+      batchParameters.outputDirectory = this.outputDirectoryEdit.text.trim();
+   };
+
+   this.outputDirectoryButton = new PushButton(this);
+   this.outputDirectoryButton.text = "Select";
+   this.outputDirectoryButton.onClick = () => {
+      var directoryDialog = new GetDirectoryDialog;
+      directoryDialog.caption = "Select Output Directory";
+      if (directoryDialog.execute()) {
+         this.outputDirectoryEdit.text = directoryDialog.directory;
+         batchParameters.outputDirectory = directoryDialog.directory;
+      }
+   };
+
+   // file name pattern, file format and overwrite policy
+   this.fileNameLabel = new Label(this);
+   this.fileNameLabel.text = "File name:";
+   this.fileNameLabel.minWidth = 120;
+
+   this.fileNameEdit = new Edit(this);
+   this.fileNameEdit.text = batchParameters.fileNamePattern;
+   this.fileNameEdit.toolTip = "<p>File name of the framed images. " +
+      "<b>{name}</b> is replaced by the file name of the image without extension.</p>";
+   this.fileNameEdit.onTextUpdated = () => {
+      batchParameters.fileNamePattern = this.fileNameEdit.text;
+   };
+
+   this.outputFormat_ComboBox = new ComboBox(this);
+   for (var i = 0; i < batchOutputFormats.length; i++)
+      this.outputFormat_ComboBox.addItem(batchOutputFormats[i].label);
+   this.outputFormat_ComboBox.currentItem = batchOutputFormats.findIndex(
+      (format) => format.extension == batchParameters.outputExtension);
+   this.outputFormat_ComboBox.toolTip = "<p>File format of the framed images.</p>";
+   this.outputFormat_ComboBox.onItemSelected = function(index) {
+      batchParameters.outputExtension = batchOutputFormats[index].extension;
+   };
+
+   this.overwrite_ComboBox = new ComboBox(this);
+   for (var i = 0; i < overwritePolicies.length; i++)
+      this.overwrite_ComboBox.addItem(overwritePolicies[i].label);
+   this.overwrite_ComboBox.currentItem = overwritePolicies.findIndex(
+      (policy) => policy.id == batchParameters.overwritePolicy);
+   this.overwrite_ComboBox.toolTip = "<p>Handling of framed images that already exist.</p>";
+   this.overwrite_ComboBox.onItemSelected = function(index) {
+      batchParameters.overwritePolicy = overwritePolicies[index].id;
+   };
+
+   this.cancelButton = new PushButton(this);
+   this.cancelButton.text = "Cancel";
+   this.cancelButton.onClick = () => {
+      this.cancel();
+   };
+
+   this.runButton = new PushButton(this);
+   this.runButton.text = "Run";
+   this.runButton.onClick = () => {
+      this.ok();
+   };
+
+   // layout the dialog
+   this.fileButtonSizer = new VerticalSizer;
+   this.fileButtonSizer.spacing = 4;
+   this.fileButtonSizer.add(this.addFilesButton);
+   this.fileButtonSizer.add(this.addDirectoryButton);
+   this.fileButtonSizer.add(this.removeButton);
+   this.fileButtonSizer.add(this.clearButton);
+   this.fileButtonSizer.addStretch();
+
+   this.filesSizer = new HorizontalSizer;
+   this.filesSizer.spacing = 8;
+   this.filesSizer.add(this.filesTreeBox, 100);
+   this.filesSizer.add(this.fileButtonSizer);
+
+   this.outputDirectorySizer = new HorizontalSizer;
+   this.outputDirectorySizer.spacing = 8;
+   this.outputDirectorySizer.add(this.outputDirectoryLabel);
+   this.outputDirectorySizer.add(this.outputDirectoryEdit, 100);
+   this.outputDirectorySizer.add(this.outputDirectoryButton);
+
+   this.fileNameSizer = new HorizontalSizer;
+   this.fileNameSizer.spacing = 8;
+   this.fileNameSizer.add(this.fileNameLabel);
+   this.fileNameSizer.add(this.fileNameEdit, 100);
+   this.fileNameSizer.add(this.outputFormat_ComboBox);
+   this.fileNameSizer.add(this.overwrite_ComboBox);
+
+   this.buttonSizer = new HorizontalSizer;
+   this.buttonSizer.addStretch();
+   this.buttonSizer.add(this.cancelButton);
+   this.buttonSizer.addSpacing(8);
+   this.buttonSizer.add(this.runButton);
+
+   this.sizer = new VerticalSizer;
+   this.sizer.margin = 8;
+   this.sizer.spacing = 8;
+   this.sizer.add(this.infoLabel);
+   this.sizer.add(this.filesSizer, 100);
+   this.sizer.add(this.outputDirectorySizer);
+   this.sizer.add(this.fileNameSizer);
+   this.sizer.add(this.buttonSizer);
+
+   this.updateFileList();
+}
+
+batchDialog.prototype = new Dialog;
+
+/*
+ * renditionsDialog
+ * dialog to select the renditions exported when the image is framed,
+ * the selection is stored in exportSettings
+ * RETURNS:
+    * nothing
+ */
+function renditionsDialog() {
+   this.__base__ = Dialog;
+   this.__base__();
+
+   this.windowTitle = "Export Renditions";
+   this.scaledMinWidth = 700;
+
+   // output directory
+   this.directoryLabel = new Label(this);
+   this.directoryLabel.text = "Export directory:";
+
+   this.directoryEdit = new Edit(this);
+   this.directoryEdit.text = exportSettings.directory;
+   this.directoryEdit.toolTip = "<p>Directory of the renditions. " +
+      "Leave empty to save the renditions next to the image file.</p>";
+   this.directoryEdit.onTextUpdated = () => {
+      exportSettings.directory = this.directoryEdit.text.trim();
+   };
+
+   this.directoryButton = new PushButton(this);
+   this.directoryButton.text = "Select";
+   this.directoryButton.onClick = () => {
+      var directoryDialog = new GetDirectoryDialog;
+      directoryDialog.caption = "Select Export Directory";
+      if (directoryDialog.execute()) {
+         this.directoryEdit.text = directoryDialog.directory;
+         exportSettings.directory = directoryDialog.directory;
+      }
+   };
+
+   this.directorySizer = new HorizontalSizer;
+   this.directorySizer.spacing = 8;
+   this.directorySizer.add(this.directoryLabel);
+   this.directorySizer.add(this.directoryEdit, 100);
+   this.directorySizer.add(this.directoryButton);
+
+   // one row per rendition: enable, format, bit depth, quality and file name
+   var outputFormats = batchOutputFormats.filter((format) => format.extension.length > 0);
+   var bitDepths = [8, 16, 32];
+
+   this.renditionsSizer = new VerticalSizer;
+   this.renditionsSizer.spacing = 4;
+
+   for (var i = 0; i < exportSettings.renditions.length; i++) {
+      let rendition = exportSettings.renditions[i];
+      let controls = {};
+
+      controls.checkbox = new CheckBox(this);
+      controls.checkbox.text = rendition.label;
+      controls.checkbox.checked = rendition.enabled;
+      controls.checkbox.minWidth = 220;
+      controls.checkbox.onClick = () => {
+         rendition.enabled = controls.checkbox.checked;
+      };
+
+      controls.format_ComboBox = new ComboBox(this);
+      for (var j = 0; j < outputFormats.length; j++)
+         controls.format_ComboBox.addItem(outputFormats[j].label);
+      controls.format_ComboBox.currentItem = Math.max(0, outputFormats.findIndex(
+         (format) => format.extension == rendition.extension));
+      controls.format_ComboBox.onItemSelected = (index) => {
+         rendition.extension = outputFormats[index].extension;
+      };
+
+      controls.bitDepth_ComboBox = new ComboBox(this);
+      for (var j = 0; j < bitDepths.length; j++)
+         controls.bitDepth_ComboBox.addItem(bitDepths[j] + " bit" +
+            ((bitDepths[j] == 32) ? " float" : ""));
+      controls.bitDepth_ComboBox.currentItem = Math.max(0,
+         bitDepths.indexOf(rendition.bitDepth));
+      controls.bitDepth_ComboBox.toolTip = "<p>Bits per sample. JPEG files always have 8 bits.</p>";
+      controls.bitDepth_ComboBox.onItemSelected = (index) => {
+         rendition.bitDepth = bitDepths[index];
+      };
+
+      controls.qualityLabel = new Label(this);
+      controls.qualityLabel.text = "Quality:";
+
+      controls.qualitySpinBox = new SpinBox(this);
+      controls.qualitySpinBox.setRange(1, 100);
+      controls.qualitySpinBox.value = rendition.quality;
+      controls.qualitySpinBox.toolTip = "<p>JPEG quality.</p>";
+      controls.qualitySpinBox.onValueUpdated = (value) => {
+         rendition.quality = value;
+      };
+
+      controls.pathEdit = new Edit(this);
+      controls.pathEdit.minWidth = 200;
+      controls.pathEdit.text = rendition.pathPattern;
+      controls.pathEdit.toolTip = "<p>File name of the rendition. " +
+         "<b>{id}</b> is replaced by the id of the target image.</p>";
+      controls.pathEdit.onTextUpdated = () => {
+         rendition.pathPattern = controls.pathEdit.text;
+      };
+
+      controls.sizer = new HorizontalSizer;
+      controls.sizer.spacing = 8;
+      controls.sizer.add(controls.checkbox);
+      controls.sizer.add(controls.format_ComboBox);
+      controls.sizer.add(controls.bitDepth_ComboBox);
+      controls.sizer.add(controls.qualityLabel);
+      controls.sizer.add(controls.qualitySpinBox);
+      controls.sizer.add(controls.pathEdit, 100);
+
+      this.renditionsSizer.add(controls.sizer);
+   }
+
+   this.okButton = new PushButton(this);
+   this.okButton.text = "OK";
+   this.okButton.onClick = () => {
+      this.ok();
+   };
+
+   this.buttonSizer = new HorizontalSizer;
+   this.buttonSizer.addStretch();
+   this.buttonSizer.add(this.okButton);
+
+   this.sizer = new VerticalSizer;
+   this.sizer.margin = 8;
+   this.sizer.spacing = 8;
+   this.sizer.add(this.directorySizer);
+   this.sizer.add(this.renditionsSizer);
+   this.sizer.add(this.buttonSizer);
+
+   this.adjustToContents();
+}
+
+renditionsDialog.prototype = new Dialog;
+
+/*
+ * legendDialog
+ * dialog to edit the filters of the legend: name, swatch color and integration time
+ * RETURNS
+ * nothing
+ */
+function legendDialog() {
+   this.__base__ = Dialog;
+   this.__base__();
+
+   this.windowTitle = "Filter Legend";
+   this.scaledMinWidth = 600;
+
+   // palette presets
+   this.paletteLabel = new Label(this);
+   this.paletteLabel.text = "Palette:";
+
+   this.palette_ComboBox = new ComboBox(this);
+   for (var i = 0; i < legendPalettes.length; i++)
+      this.palette_ComboBox.addItem(legendPalettes[i].label);
+
+   this.paletteButton = new PushButton(this);
+   this.paletteButton.text = "Apply";
+   this.paletteButton.toolTip = "<p>Replace the filters and colors by the selected " +
+      "palette. Integration times of filters of the same name are kept.</p>";
+   this.paletteButton.onClick = () => {
+      var palette = legendPalettes[this.palette_ComboBox.currentItem];
+      var legend = annotationFrameParameters.legend;
+      var i, kept;
+
+      for (i=0;i<legend.length;i++) {
+         if (i < palette.entries.length) {
+            kept = legend.find((entry) => normalizeFilterName(entry.filter) ==
+               normalizeFilterName(palette.entries[i].filter));
+            legend[i].time = kept ? kept.time : "";
+            legend[i].filter = palette.entries[i].filter;
+            legend[i].color = palette.entries[i].color;
+         }
+         else {
+            legend[i].filter = "";
+            legend[i].time = "";
+         }
+      }
+      this.updateEntries();
+   };
+
+   this.headerButton = new PushButton(this);
+   this.headerButton.text = "Time from header";
+   this.headerButton.toolTip = "<p>Set the integration time of the filter named by " +
+      "the FILTER keyword of the image to EXPTIME \u00D7 NCOMBINE.</p>";
+   this.headerButton.onClick = () => {
+      var filter = readLegendTimes();
+      if (filter.length == 0) {
+         (new MessageBox("The image has no FILTER and EXPTIME keywords or the filter " +
+            "is not in the legend.", "Filter Legend", StdIcon_Warning,
+            StdButton_Ok)).execute();
+         return;
+      }
+      this.updateEntries();
+   };
 
-   for (i=0;i<header.length;i++) {
-//      if (header[i].isString == true) {
-         if (header[i].name.localeCompare(kvp.name) == 0) {
-            //overwrite value
-            header[i].value = kvp.value;
-            return;
-         }
-//      }
+   this.paletteSizer = new HorizontalSizer;
+   this.paletteSizer.spacing = 8;
+   this.paletteSizer.add(this.paletteLabel);
+   this.paletteSizer.add(this.palette_ComboBox);
+   this.paletteSizer.add(this.paletteButton);
+   this.paletteSizer.addStretch();
+   this.paletteSizer.add(this.headerButton);
+
+   // one row per filter: name, swatch color and integration time
+   this.entryControls = [];
+   this.entriesSizer = new VerticalSizer;
+   this.entriesSizer.spacing = 4;
+
+   for (var i = 0; i < annotationFrameParameters.legend.length; i++) {
+      let entry = annotationFrameParameters.legend[i];
+      let controls = {};
+
+      controls.filterEdit = new Edit(this);
+      controls.filterEdit.minWidth = 150;
+      controls.filterEdit.toolTip = "<p>Filter name, leave empty to hide the entry.</p>";
+      controls.filterEdit.onTextUpdated = () => {
+         entry.filter = controls.filterEdit.text;
+      };
+
+      controls.color_Selector = new colorSelector(this, "Swatch color");
+      controls.color_Selector.onColorChanged = (color) => {
+         entry.color = color;
+      };
+
+      controls.timeEdit = new Edit(this);
+      controls.timeEdit.minWidth = 150;
+      controls.timeEdit.toolTip = "<p>Integration time, e.g. 4h 30m. " +
+         "Placeholders like <b>{EXPTIME:hm}</b> are replaced by keyword values.</p>";
+      controls.timeEdit.onTextUpdated = () => {
+         entry.time = controls.timeEdit.text;
+      };
+
+      controls.sizer = new HorizontalSizer;
+      controls.sizer.spacing = 8;
+      controls.sizer.add(controls.filterEdit, 100);
+      controls.sizer.add(controls.color_Selector);
+      controls.sizer.add(controls.timeEdit, 100);
+
+      this.entryControls.push(controls);
+      this.entriesSizer.add(controls.sizer);
    }
-   //else write new KVP and append to header
-   header.push(kvpInstance);
-}
 
-/* writeValuesToFITSHeader
- * writes all texts to the FITS header
- * PARAMETERS:
-    * imageView
- * RETURNS:
-    * nothing
-*/
-function writeValuesToFITSHeader(imageView) {
-   var kvp = new FITSKeyword;
+   // show the legend entries in the controls
+   this.updateEntries = function() {
+      var i, entry;
 
-   //write comment since it is the same for all kvps
-   var comment = "written by AnnotationFrame script";
+      for (i=0;i<this.entryControls.length;i++) {
+         entry = annotationFrameParameters.legend[i];
+         this.entryControls[i].filterEdit.text = entry.filter;
+         this.entryControls[i].color_Selector.setColor(entry.color);
+         this.entryControls[i].timeEdit.text = entry.time;
+      }
+   };
+   this.updateEntries();
 
-   //image title
-   kvp.assign("AF_imageTitle","'" + annotationFrameParameters.titleText + "'", comment);
-   writeKVPToFITSHeader(kvp);
+   this.okButton = new PushButton(this);
+   this.okButton.text = "OK";
+   this.okButton.onClick = () => {
+      this.ok();
+   };
 
-   //bottom left text 1
-   kvp.assign("AF_bottomLeftText1", "'" + annotationFrameParameters.bottomLeftText1 + "'", comment);
-   writeKVPToFITSHeader(kvp);
+   this.buttonSizer = new HorizontalSizer;
+   this.buttonSizer.addStretch();
+   this.buttonSizer.add(this.okButton);
 
-   //bottom left text 2
-   kvp.assign("AF_bottomLeftText2", "'" + annotationFrameParameters.bottomLeftText2 + "'", comment);
-   writeKVPToFITSHeader(kvp);
+   this.sizer = new VerticalSizer;
+   this.sizer.margin = 8;
+   this.sizer.spacing = 8;
+   this.sizer.add(this.paletteSizer);
+   this.sizer.add(this.entriesSizer);
+   this.sizer.add(this.buttonSizer);
 
-   //bottom left text 3
-   kvp.assign("AF_bottomLeftText3", "'" + annotationFrameParameters.bottomLeftText3 + "'", comment);
-   writeKVPToFITSHeader(kvp);
+   this.adjustToContents();
+}
 
-   //bottom center text 1
-   kvp.assign("AF_bottomCenterText1", "'" + annotationFrameParameters.bottomCenterText1 + "'", comment);
-   writeKVPToFITSHeader(kvp);
+legendDialog.prototype = new Dialog;
 
-   //bottom center text 2
-   kvp.assign("AF_bottomCenterText2","'" + annotationFrameParameters.bottomCenterText2 + "'", comment);
-   writeKVPToFITSHeader(kvp);
+/*
+ * fieldStyleDialog
+ * dialog to set the text style of a bottom line, the style is changed when the
+ * dialog is closed with OK
+ * PARAMETERS:
+    * block: "left", "center" or "right"
+    * line: 0 to maxLinesPerColumn - 1
+ * RETURNS:
+    * nothing
+ */
+function fieldStyleDialog(block, line) {
+   this.__base__ = Dialog;
+   this.__base__();
 
-   //bottom center text 3
-   kvp.assign("AF_bottomCenterText3", "'" + annotationFrameParameters.bottomCenterText3 + "'", comment);
-   writeKVPToFITSHeader(kvp);
+   var column = columnBlocks.find((column) => column.block == block);
+   this.windowTitle = "Text Style: " + column.name + " Column, Line " + (line + 1);
+
+   //edited copy, a line without own style starts with the style of the column
+   var style = JSON.parse(JSON.stringify(fieldStyle(block, line)));
+   delete style.letterSpacing;
+   style.sameAsColumn = annotationFrameParameters.fieldStyles[block][line].sameAsColumn;
+
+   this.sameAsColumnCheckbox = new CheckBox(this);
+   this.sameAsColumnCheckbox.text = "Same as column";
+   this.sameAsColumnCheckbox.toolTip = "<p>Draw the line with the annotation font, " +
+      "its style and the text color like the other lines of the column.</p>";
+   this.sameAsColumnCheckbox.onClick = () => {
+      style.sameAsColumn = this.sameAsColumnCheckbox.checked;
+      this.updateControls();
+   };
 
-   //bottom right text 1
-   kvp.assign("AF_bottomRightText1", "'" + annotationFrameParameters.bottomRightText1 + "'", comment);
-   writeKVPToFITSHeader(kvp);
+   this.fontLabel = new Label(this);
+   this.fontLabel.text = "Font:";
+   this.fontLabel.minWidth = 50;
+
+   this.font_ComboBox = new ComboBox(this);
+   this.font_ComboBox.minWidth = 250;
+   this.font_ComboBox.addItem( "Helvetica" );
+   this.font_ComboBox.addItem( "Times" );
+   this.font_ComboBox.addItem( "Courier" );
+   this.font_ComboBox.addItem( "SansSerif" );
+   this.font_ComboBox.addItem( "Serif" );
+   this.font_ComboBox.addItem( "Monospace" );
+   this.font_ComboBox.editEnabled = true;
+   this.font_ComboBox.toolTip = "Type a font face to draw the line with, or select a standard font family.";
+   this.font_ComboBox.onEditTextUpdated = function() {
+      style.fontName = this.editText;
+   };
+   this.font_ComboBox.onItemSelected = function(index) {
+      style.fontName = this.itemText(index);
+   };
 
-   //bottom right text 2
-   kvp.assign("AF_bottomRightText2", "'" + annotationFrameParameters.bottomRightText2 + "'", comment);
-   writeKVPToFITSHeader(kvp);
+   this.sizeControl = new NumericControl(this);
+   this.sizeControl.label.text = "Size:";
+   this.sizeControl.label.minWidth = 50;
+   this.sizeControl.setRange(0.5, 1.5);
+   this.sizeControl.setPrecision(2);
+   this.sizeControl.slider.setRange(0, 100);
+   this.sizeControl.minWidth = 250;
+   this.sizeControl.toolTip = "<p>Font size relative to the font size of the column. " +
+      "Larger sizes may overlap the neighbouring lines.</p>";
+   this.sizeControl.onValueUpdated = (value) => {
+      style.relativeSize = value;
+   };
 
-   //bottom right text 3
-   kvp.assign("AF_bottomRightText3", "'" + annotationFrameParameters.bottomRightText3 + "'", comment);
-   writeKVPToFITSHeader(kvp);
+   this.boldCheckbox = new CheckBox(this);
+   this.boldCheckbox.text = "Bold";
+   this.boldCheckbox.onClick = () => {
+      style.bold = this.boldCheckbox.checked;
+   };
 
-   //vertical image placement
-   kvp.assign("AF_verImagePlacement", verticalImageOffset, comment);
-   writeKVPToFITSHeader(kvp);
+   this.italicCheckbox = new CheckBox(this);
+   this.italicCheckbox.text = "Italic";
+   this.italicCheckbox.onClick = () => {
+      style.italic = this.italicCheckbox.checked;
+   };
 
-   //vertical border width
-   kvp.assign("AF_verBorderWidth", frameHeightIncPerc, comment);
-   writeKVPToFITSHeader(kvp);
+   this.shadowCheckbox = new CheckBox(this);
+   this.shadowCheckbox.text = "Shadow";
+   this.shadowCheckbox.toolTip = "<p>Draw a dark shadow to the lower right of the text.</p>";
+   this.shadowCheckbox.onClick = () => {
+      style.shadow = this.shadowCheckbox.checked;
+   };
 
-   //horizontal border width
-   kvp.assign("AF_horBorderWidth", frameWidthIncPerc, comment);
-   writeKVPToFITSHeader(kvp);
+   this.colorLabel = new Label(this);
+   this.colorLabel.text = "Color:";
+   this.colorLabel.minWidth = 50;
 
-   //title font
-   kvp.assign("AF_titleFont", titleFont.fontName, comment);
-   writeKVPToFITSHeader(kvp);
+   this.color_Selector = new colorSelector(this, "Color of the line.");
+   this.color_Selector.onColorChanged = (color) => {
+      style.color = color;
+   };
 
-   //annotation font
-   kvp.assign("AF_annotationFont", bottomFont.fontName, comment);
-   writeKVPToFITSHeader(kvp);
+   // show the edited style in the controls
+   this.updateControls = function() {
+      var enabled = !style.sameAsColumn;
+
+      this.sameAsColumnCheckbox.checked = style.sameAsColumn;
+      this.font_ComboBox.editText = style.fontName;
+      this.sizeControl.setValue(style.relativeSize);
+      this.boldCheckbox.checked = style.bold;
+      this.italicCheckbox.checked = style.italic;
+      this.shadowCheckbox.checked = style.shadow;
+      this.color_Selector.setColor(style.color);
+
+      this.font_ComboBox.enabled = enabled;
+      this.sizeControl.enabled = enabled;
+      this.boldCheckbox.enabled = enabled;
+      this.italicCheckbox.enabled = enabled;
+      this.shadowCheckbox.enabled = enabled;
+      this.color_Selector.enabled = enabled;
+   };
+   this.updateControls();
 
-   //write message to the console
-   Console.writeln("Values are stored in FITS header of file.");
+   this.okButton = new PushButton(this);
+   this.okButton.text = "OK";
+   this.okButton.onClick = () => {
+      annotationFrameParameters.fieldStyles[block][line] = style;
+      this.ok();
+   };
 
-   //write the header
-   var P = new FITSHeader;
-   P.keywords = headerToFITSHeader(header);
-   P.executeOn(imageView);
-}
+   this.cancelButton = new PushButton(this);
+   this.cancelButton.text = "Cancel";
+   this.cancelButton.onClick = () => {
+      this.cancel();
+   };
 
-/* headerToFITSHeader
- * converts an array of FITSKeywords to an array of arrays for writing in the FITSHeader process
- * PARAMETERS:
-    * none
- * RETURNS:
-    * array of arrays to write to the FITSHeader process
-*/
-function headerToFITSHeader() {
-var i;
-var outval = [];
+   this.fontSizer = new HorizontalSizer;
+   this.fontSizer.spacing = 8;
+   this.fontSizer.add(this.fontLabel);
+   this.fontSizer.add(this.font_ComboBox, 100);
+
+   this.styleSizer = new HorizontalSizer;
+   this.styleSizer.spacing = 8;
+   this.styleSizer.addSpacing(58);
+   this.styleSizer.add(this.boldCheckbox);
+   this.styleSizer.add(this.italicCheckbox);
+   this.styleSizer.add(this.shadowCheckbox);
+   this.styleSizer.addStretch();
+
+   this.colorSizer = new HorizontalSizer;
+   this.colorSizer.spacing = 8;
+   this.colorSizer.add(this.colorLabel);
+   this.colorSizer.add(this.color_Selector, 100);
+
+   this.buttonSizer = new HorizontalSizer;
+   this.buttonSizer.addStretch();
+   this.buttonSizer.add(this.cancelButton);
+   this.buttonSizer.addSpacing(8);
+   this.buttonSizer.add(this.okButton);
 
-   for (i=0;i<header.length;i++) {
-      outval.push(header[i].toArray());
-   }
-   return outval;
+   this.sizer = new VerticalSizer;
+   this.sizer.margin = 8;
+   this.sizer.spacing = 8;
+   this.sizer.add(this.sameAsColumnCheckbox);
+   this.sizer.add(this.fontSizer);
+   this.sizer.add(this.sizeControl);
+   this.sizer.add(this.styleSizer);
+   this.sizer.add(this.colorSizer);
+   this.sizer.add(this.buttonSizer);
+
+   this.adjustToContents();
 }
 
+fieldStyleDialog.prototype = new Dialog;
+
 /*
  * Specify Dialog
  * RETURNS
@@ -742,7 +4281,9 @@ function annotationFrameDialog() {
       " If the text turns red, it will not fit in the designated area." +
       "\n\nYou can either select a font face from the drop down list" +
       " or alternatively type any font face installed on your computer." +
-      "\n<i>You can find available font faces by typing 'font' in the windows search box</i>";
+      "\n<i>You can find available font faces by typing 'font' in the windows search box</i>" +
+      "\n\nTexts can contain FITS keyword placeholders like {OBJECT} or {EXPTIME:hm}," +
+      " see the tool tips of the text boxes.";
 
    this.title.readOnly = true;
    this.title.minHeight = 130;
@@ -757,106 +4298,217 @@ function annotationFrameDialog() {
 
 
    this.imageViewList = new ViewList(this);
-   //do not list temp_render in view list
-   this.imageViewList.excludeIdentifiersPattern = "temp_render";
+   //do not list temporary preview window in view list
+   this.imageViewList.excludeIdentifiersPattern = "temp_preview";
    this.imageViewList.getAll();
    this.imageViewList.minWidth = 300;
    this.imageViewList.maxWidth = 450;
    this.imageViewList.onViewSelected = () => {
-      annotationFrameParameters.imageView = this.imageViewList.currentView;
+      this.selectView(this.imageViewList.currentView, true);
+   };
+
+   // hidden copy of the target image without the frame added before, used for the
+   // layout and the preview. The target image is not changed while the dialog is open.
+   this.unframedWindow = undefined;
+
+   // image the layout and the preview are calculated for
+   this.layoutView = function() {
+      if (this.unframedWindow != undefined)
+         return this.unframedWindow.mainView;
+      return annotationFrameParameters.imageView;
+   };
+
+   // close the copy of the target image without its old frame
+   this.closeUnframedCopy = function() {
+      if (this.unframedWindow != undefined)
+         this.unframedWindow.forceClose();
+      this.unframedWindow = undefined;
+   };
+
+   // select the target image, an old frame is replaced after asking the user
+   // if confirmRemoval is true, otherwise without asking
+   this.selectView = function(view, confirmRemoval) {
+      this.closeUnframedCopy();
+
+      annotationFrameParameters.imageView = view;
 
       //try to read FITS parameters from file, if existing
       //load complete FITS header
-      header = annotationFrameParameters.imageView.window.keywords;
-      retrieveValuesFromFITSHeader();
+      loadHeader(annotationFrameParameters.imageView);
+      retrieveValuesFromFITSHeader(annotationFrameParameters.imageView);
+
+      //offer to replace the frame of an image framed before
+      var region = view.isNull ? undefined : readFramedRegion(view);
+      if ((region != undefined) && isResampledFrame(region)) {
+         if (confirmRemoval)
+            (new MessageBox("The image " + view.id + " has been resampled by the " +
+               "print layout. Its frame cannot be removed without losing resolution, " +
+               "a new frame is added around the old one. Please frame the original " +
+               "image instead.", "Reframe Image", StdIcon_Warning, StdButton_Ok)).execute();
+      }
+      else if ((region != undefined) && (!confirmRemoval || this.confirm("The image " +
+         view.id + " has already been framed by this script. Replace the old frame " +
+         "and reframe the image with its stored settings?\n" +
+         "The image is not changed before Execute.", "Reframe Image"))) {
+         this.unframedWindow = createUnframedCopy(view, true);
+      }
 
       //calculations need to be done whenever image is changed
-      calculateAllDimensions(this.imageViewList.currentView);
+      calculateAllDimensions(this.layoutView());
       calculateFonts();
 
       //enable or disable all other fields if image is undefined
       if (annotationFrameParameters.imageView == undefined) {
          //disable all controls
-         this.imageTitle.enabled = false;
-         this.bottomLeftText1.enabled = false;
-         this.bottomLeftText2.enabled = false;
-         this.bottomLeftText3.enabled = false;
-         this.bottomCenterText1.enabled = false;
-         this.bottomCenterText2.enabled = false;
-         this.bottomCenterText3.enabled = false;
-         this.bottomRightText1.enabled = false;
-         this.bottomRightText2.enabled = false;
-         this.bottomRightText3.enabled = false;
-         this.leftColumnCheckbox.enabled = false;
-         this.centerColumnCheckbox.enabled = false;
-         this.rightColumnCheckbox.enabled = false;
-         this.lengthCheckButton.enabled = false;
-         this.verBorderWidthFactor.enabled = false;
-         this.horBorderWidthFactor.enabled = false;
-         this.verImagePlacement.enabled = false;
+         this.enableControls(false);
+
+         //clear preview
+         this.previewImage = undefined;
+         this.previewBitmap = undefined;
+         this.imageViewBox.update();
       }
       // if image view was set to no view in view list
       else if (annotationFrameParameters.imageView.isNull) {
          //disable all controls
-         this.imageTitle.enabled = false;
-         this.bottomLeftText1.enabled = false;
-         this.bottomLeftText2.enabled = false;
-         this.bottomLeftText3.enabled = false;
-         this.bottomCenterText1.enabled = false;
-         this.bottomCenterText2.enabled = false;
-         this.bottomCenterText3.enabled = false;
-         this.bottomRightText1.enabled = false;
-         this.bottomRightText2.enabled = false;
-         this.bottomRightText3.enabled = false;
-         this.leftColumnCheckbox.enabled = false;
-         this.centerColumnCheckbox.enabled = false;
-         this.rightColumnCheckbox.enabled = false;
-         this.lengthCheckButton.enabled = false;
-         this.verBorderWidthFactor.enabled = false;
-         this.horBorderWidthFactor.enabled = false;
-         this.verImagePlacement.enabled = false;
+         this.enableControls(false);
+
+         //clear preview
+         this.previewImage = undefined;
+         this.previewBitmap = undefined;
+         this.imageViewBox.update();
       }
       else {
          //enable all controls
-         this.imageTitle.enabled = true;
-         this.bottomLeftText1.enabled = true;
-         this.bottomLeftText2.enabled = true;
-         this.bottomLeftText3.enabled = true;
-         this.bottomCenterText1.enabled = true;
-         this.bottomCenterText2.enabled = true;
-         this.bottomCenterText3.enabled = true;
-         this.bottomRightText1.enabled = true;
-         this.bottomRightText2.enabled = true;
-         this.bottomRightText3.enabled = true;
-         this.leftColumnCheckbox.enabled = true;
-         this.centerColumnCheckbox.enabled = true;
-         this.rightColumnCheckbox.enabled = true;
-         this.lengthCheckButton.enabled = true;
-         this.verBorderWidthFactor.enabled = true;
-         this.horBorderWidthFactor.enabled = true;
-         this.verImagePlacement.enabled = true;
-
-
-         //update text controls
-         this.imageTitle.text = annotationFrameParameters.titleText;
-         this.bottomLeftText1.text = annotationFrameParameters.bottomLeftText1;
-         this.bottomLeftText2.text = annotationFrameParameters.bottomLeftText2;
-         this.bottomLeftText3.text = annotationFrameParameters.bottomLeftText3;
-         this.bottomCenterText1.text = annotationFrameParameters.bottomCenterText1;
-         this.bottomCenterText2.text = annotationFrameParameters.bottomCenterText2;
-         this.bottomCenterText3.text = annotationFrameParameters.bottomCenterText3;
-         this.bottomRightText1.text = annotationFrameParameters.bottomRightText1;
-         this.bottomRightText2.text = annotationFrameParameters.bottomRightText2;
-         this.bottomRightText3.text = annotationFrameParameters.bottomRightText3;
-         //update border geometry controls
-         this.verImagePlacement.setValue(verticalImageOffset);
-         this.verBorderWidthFactor.setValue(frameHeightIncPerc);
-         this.horBorderWidthFactor.setValue(frameWidthIncPerc);
-         //update font controls
-         this.titleFont_ComboBox.editText = titleFont.fontName;
-         this.bottomFont_ComboBox.editText = bottomFont.fontName;
+         this.enableControls(true);
+
+         //show the settings read from the FITS header
+         this.updateControls();
+
+         //create downscaled copy of the image and render the preview
+         this.previewImage = createPreviewImage(this.layoutView());
+         this.updatePreview();
       }
-   }
+
+      //select the view in the list if called after Execute
+      if (this.imageViewList.currentView.id != view.id)
+         this.imageViewList.currentView = view;
+   };
+
+   // add the preset controls
+   this.presetLabel = new Label(this);
+   this.presetLabel.text = "Preset:";
+
+   this.preset_ComboBox = new ComboBox(this);
+   this.preset_ComboBox.minWidth = 300;
+   this.preset_ComboBox.toolTip = "<p>Named presets of all settings, stored in the " +
+      "PixInsight settings. The default preset is loaded when the script starts.</p>";
+
+   this.presetSaveButton = new PushButton(this);
+   this.presetSaveButton.text = "Save...";
+   this.presetSaveButton.toolTip = "<p>Store the current settings as preset.</p>";
+   this.presetSaveButton.onClick = () => {
+      var nameDialog = new presetNameDialog("Save Preset", this.selectedPresetName());
+      if (!nameDialog.execute())
+         return;
+
+      if ((nameDialog.name in readPresets()) &&
+         !this.confirm("Replace the preset '" + nameDialog.name + "'?", "Save Preset"))
+         return;
+
+      savePreset(nameDialog.name);
+      this.updatePresetList(nameDialog.name);
+      Console.writeln("Preset '" + nameDialog.name + "' has been saved.");
+   };
+
+   this.presetLoadButton = new PushButton(this);
+   this.presetLoadButton.text = "Load";
+   this.presetLoadButton.toolTip = "<p>Apply the settings of the selected preset.</p>";
+   this.presetLoadButton.onClick = () => {
+      if (!loadPreset(this.selectedPresetName()))
+         return;
+
+      this.updateControls();
+
+      //calculations need to be done whenever settings are changed
+      if ((annotationFrameParameters.imageView != undefined) &&
+         !annotationFrameParameters.imageView.isNull) {
+         calculateAllDimensions(this.layoutView());
+         calculateFonts();
+         this.updatePreview();
+      }
+   };
+
+   this.presetRenameButton = new PushButton(this);
+   this.presetRenameButton.text = "Rename...";
+   this.presetRenameButton.onClick = () => {
+      var oldName = this.selectedPresetName();
+      var nameDialog = new presetNameDialog("Rename Preset", oldName);
+      if (!nameDialog.execute() || (nameDialog.name == oldName))
+         return;
+
+      if ((nameDialog.name in readPresets()) &&
+         !this.confirm("Replace the preset '" + nameDialog.name + "'?", "Rename Preset"))
+         return;
+
+      renamePreset(oldName, nameDialog.name);
+      this.updatePresetList(nameDialog.name);
+   };
+
+   this.presetDeleteButton = new PushButton(this);
+   this.presetDeleteButton.text = "Delete";
+   this.presetDeleteButton.onClick = () => {
+      var name = this.selectedPresetName();
+      if (!this.confirm("Delete the preset '" + name + "'?", "Delete Preset"))
+         return;
+
+      deletePreset(name);
+      this.updatePresetList("");
+   };
+
+   this.presetDefaultButton = new PushButton(this);
+   this.presetDefaultButton.text = "Set as Default";
+   this.presetDefaultButton.toolTip = "<p>Load the selected preset whenever the script starts.</p>";
+   this.presetDefaultButton.onClick = () => {
+      var name = this.selectedPresetName();
+      writeDefaultPresetName(name);
+      this.updatePresetList(name);
+   };
+
+   // names of the presets in the order of the preset combo box
+   this.presetNames = [];
+
+   // fill the preset combo box, marking the default preset
+   this.updatePresetList = function(selectedName) {
+      var defaultName = readDefaultPresetName();
+      var i;
+
+      this.presetNames = Object.keys(readPresets()).sort();
+      this.preset_ComboBox.clear();
+      for (i=0;i<this.presetNames.length;i++) {
+         this.preset_ComboBox.addItem(this.presetNames[i] +
+            ((this.presetNames[i] == defaultName) ? " (default)" : ""));
+      }
+      if (this.presetNames.indexOf(selectedName) >= 0)
+         this.preset_ComboBox.currentItem = this.presetNames.indexOf(selectedName);
+
+      this.presetLoadButton.enabled = this.presetNames.length > 0;
+      this.presetRenameButton.enabled = this.presetNames.length > 0;
+      this.presetDeleteButton.enabled = this.presetNames.length > 0;
+      this.presetDefaultButton.enabled = this.presetNames.length > 0;
+   };
+
+   this.selectedPresetName = function() {
+      if (this.presetNames.length == 0)
+         return "";
+      return this.presetNames[this.preset_ComboBox.currentItem];
+   };
+
+   this.confirm = function(text, caption) {
+      return (new MessageBox(text, caption, StdIcon_Question,
+         StdButton_Yes, StdButton_No)).execute() == StdButton_Yes;
+   };
+
+   this.updatePresetList(readDefaultPresetName());
 
    // add a selector for the title font
    this.titleFontLabel = new Label(this);
@@ -879,9 +4531,11 @@ function annotationFrameDialog() {
    this.titleFont_ComboBox.toolTip = "Type a font face to draw with, or select a standard font family.";
    this.titleFont_ComboBox.onEditTextUpdated = function() {
       titleFont.fontName = this.editText;
+      this.dialog.schedulePreviewUpdate();
    };
    this.titleFont_ComboBox.onItemSelected = function( index ) {
       titleFont.fontName = this.itemText( index );
+      this.dialog.schedulePreviewUpdate();
    };
 
    // add a selector for the annotation font
@@ -905,11 +4559,220 @@ function annotationFrameDialog() {
    this.bottomFont_ComboBox.toolTip = "Type a font face to draw with, or select a standard font family.";
    this.bottomFont_ComboBox.onEditTextUpdated = function() {
       bottomFont.fontName = this.editText;
+      this.dialog.schedulePreviewUpdate();
    };
    this.bottomFont_ComboBox.onItemSelected = function(index) {
       bottomFont.fontName = this.itemText(index);
+      this.dialog.schedulePreviewUpdate();
+   };
+
+   // add a selector for the frame style
+   this.frameStyleLabel = new Label(this);
+   this.frameStyleLabel.text = "Frame style:";
+   this.frameStyleLabel.minWidth = 300;
+   this.frameStyleLabel.maxWidth = 450;
+
+
+   this.frameStyle_ComboBox = new ComboBox(this);
+   this.frameStyle_ComboBox.enabled = false;
+   this.frameStyle_ComboBox.minWidth = 300;
+   this.frameStyle_ComboBox.maxWidth = 450;
+   for (var i = 0; i < frameStyles.length; i++)
+      this.frameStyle_ComboBox.addItem(frameStyles[i].label);
+   this.frameStyle_ComboBox.currentItem =
+      frameStyles.indexOf(findFrameStyle(annotationFrameParameters.frameStyle));
+   this.frameStyle_ComboBox.toolTip = "Style of the lines around the image and of the frame.";
+   this.frameStyle_ComboBox.onItemSelected = function(index) {
+      annotationFrameParameters.frameStyle = frameStyles[index].id;
+      //every style comes with its own colors
+      applyFrameStyleColors(annotationFrameParameters.frameStyle);
+      this.dialog.updateColorSelectors();
+      //thickness of the lines around the image depends on frame style
+      calculateAllDimensions(this.dialog.layoutView());
+      calculateFonts();
+      this.dialog.schedulePreviewUpdate();
+   };
+
+   // add a color selector for the frame
+   this.frameColorLabel = new Label(this);
+   this.frameColorLabel.text = "Frame color:";
+   this.frameColorLabel.minWidth = 300;
+   this.frameColorLabel.maxWidth = 450;
+
+
+   this.frameColor_Selector = new colorSelector(this, "Color of the frame.");
+   this.frameColor_Selector.enabled = false;
+   this.frameColor_Selector.minWidth = 300;
+   this.frameColor_Selector.maxWidth = 450;
+   this.frameColor_Selector.setColor(frameColors.outerFrame);
+   this.frameColor_Selector.onColorChanged = (color) => {
+      frameColors.outerFrame = color;
+      this.schedulePreviewUpdate();
+   };
+
+   // add a color selector for the inner line
+   this.lineColorLabel = new Label(this);
+   this.lineColorLabel.text = "Inner line color:";
+   this.lineColorLabel.minWidth = 300;
+   this.lineColorLabel.maxWidth = 450;
+
+
+   this.lineColor_Selector = new colorSelector(this,
+      "Color of the line(s) around the image. A transparent line is blended over the frame color.");
+   this.lineColor_Selector.enabled = false;
+   this.lineColor_Selector.minWidth = 300;
+   this.lineColor_Selector.maxWidth = 450;
+   this.lineColor_Selector.setColor(frameColors.innerLine);
+   this.lineColor_Selector.onColorChanged = (color) => {
+      frameColors.innerLine = color;
+      this.schedulePreviewUpdate();
+   };
+
+   // add color selectors for the title and the annotation
+   this.textColorLabel = new Label(this);
+   this.textColorLabel.text = "Text color and opacity:";
+   this.textColorLabel.minWidth = 300;
+   this.textColorLabel.maxWidth = 450;
+
+
+   this.titleColor_Selector = new colorSelector(this, "Color of the title.");
+   this.titleColor_Selector.enabled = false;
+   this.titleColor_Selector.minWidth = 300;
+   this.titleColor_Selector.maxWidth = 450;
+   this.titleColor_Selector.setColor(titleFont.fontColor);
+   this.titleColor_Selector.onColorChanged = (color) => {
+      titleFont.fontColor = color;
+      this.schedulePreviewUpdate();
+   };
+
+   this.textColor_Selector = new colorSelector(this, "Color of the annotation text.");
+   this.textColor_Selector.enabled = false;
+   this.textColor_Selector.minWidth = 300;
+   this.textColor_Selector.maxWidth = 450;
+   this.textColor_Selector.setColor(bottomFont.fontColor);
+   this.textColor_Selector.onColorChanged = (color) => {
+      bottomFont.fontColor = color;
+      this.schedulePreviewUpdate();
+   };
+
+   // show the current colors in the color controls
+   this.updateColorSelectors = function() {
+      this.frameColor_Selector.setColor(frameColors.outerFrame);
+      this.lineColor_Selector.setColor(frameColors.innerLine);
+      this.titleColor_Selector.setColor(titleFont.fontColor);
+      this.textColor_Selector.setColor(bottomFont.fontColor);
+   };
+
+   // add a logo file or view selector
+   this.logoLabel = new Label(this);
+   this.logoLabel.text = "Logo:";
+
+   this.logoSourceEdit = new Edit(this);
+   this.logoSourceEdit.enabled = false;
+   this.logoSourceEdit.minWidth = 300;
+   this.logoSourceEdit.text = annotationFrameParameters.logoSource;
+   this.logoSourceEdit.toolTip = "<p>Image file (PNG, XISF, ...) or id of an open view " +
+      "drawn as logo or watermark. Leave empty for no logo.</p>" +
+      "<p>The alpha channel of the image defines its transparency.</p>";
+   this.logoSourceEdit.onTextUpdated = () => {
+      annotationFrameParameters.logoSource = this.logoSourceEdit.text.trim();
+      this.schedulePreviewUpdate();
+   };
+
+   this.logoFileButton = new PushButton(this);
+   this.logoFileButton.text = "Select File";
+   this.logoFileButton.enabled = false;
+   this.logoFileButton.onClick = () => {
+      var fileDialog = new OpenFileDialog;
+      fileDialog.caption = "Select Logo";
+      fileDialog.filters = [["Image files", "*.png", "*.xisf", "*.tif", "*.tiff",
+         "*.jpg", "*.jpeg"], ["All files", "*"]];
+      if (fileDialog.execute()) {
+         this.logoSourceEdit.text = fileDialog.fileName;
+         annotationFrameParameters.logoSource = fileDialog.fileName;
+         this.schedulePreviewUpdate();
+      }
+   };
+
+   this.logoViewList = new ViewList(this);
+   //do not list temporary preview window in view list
+   this.logoViewList.excludeIdentifiersPattern = "temp_preview";
+   this.logoViewList.getAll();
+   this.logoViewList.enabled = false;
+   this.logoViewList.minWidth = 200;
+   this.logoViewList.toolTip = "<p>Use an open view as logo.</p>";
+   this.logoViewList.onViewSelected = (view) => {
+      if (view.isNull)
+         return;
+      this.logoSourceEdit.text = view.id;
+      annotationFrameParameters.logoSource = view.id;
+      this.schedulePreviewUpdate();
+   };
+
+   // add a selector for the place of the logo
+   this.logoSlot_ComboBox = new ComboBox(this);
+   this.logoSlot_ComboBox.enabled = false;
+   for (var i = 0; i < logoSlots.length; i++)
+      this.logoSlot_ComboBox.addItem(logoSlots[i].label);
+   this.logoSlot_ComboBox.toolTip = "<p>Place of the logo in the bottom bar or in a corner of the frame.</p>";
+   this.logoSlot_ComboBox.onItemSelected = function(index) {
+      var occupant = slotOccupant(logoSlots[index].id, "logoSlot");
+      if (occupant.length > 0) {
+         this.dialog.showSlotUsed(occupant);
+         this.currentItem = logoSlots.findIndex(
+            (slot) => slot.id == annotationFrameParameters.logoSlot);
+         return;
+      }
+      annotationFrameParameters.logoSlot = logoSlots[index].id;
+      this.dialog.schedulePreviewUpdate();
+   };
+
+   //add a numeric control for the logo size
+   this.logoScale = new NumericControl(this);
+   this.logoScale.label.text = "Size (%):";
+   this.logoScale.enabled = false;
+   this.logoScale.setRange(10, 100);
+   this.logoScale.setPrecision(0);
+   this.logoScale.slider.setRange(0, 90);
+   this.logoScale.minWidth = 250;
+   this.logoScale.maxWidth = 300;
+   this.logoScale.setValue(annotationFrameParameters.logoScale);
+   this.logoScale.toolTip = "<p>Height of the logo in % of the bottom bar height.</p>";
+   this.logoScale.onValueUpdated = function(value)
+   {
+      annotationFrameParameters.logoScale = value;
+      this.dialog.schedulePreviewUpdate();
+   };
+
+   // add a selector for the tint of the logo
+   this.logoTint_ComboBox = new ComboBox(this);
+   this.logoTint_ComboBox.enabled = false;
+   for (var i = 0; i < logoTints.length; i++)
+      this.logoTint_ComboBox.addItem(logoTints[i].label);
+   this.logoTint_ComboBox.toolTip = "<p>Draw the logo in one of the frame colors, " +
+      "e.g. to match a black logo to a dark frame.</p>";
+   this.logoTint_ComboBox.onItemSelected = function(index) {
+      annotationFrameParameters.logoTint = logoTints[index].id;
+      this.dialog.schedulePreviewUpdate();
+   };
+
+   // tell the user that a place of the frame is already used
+   this.showSlotUsed = function(occupant) {
+      (new MessageBox("This place is used by the " + occupant + ". Please select " +
+         "another place.", "Place", StdIcon_Warning, StdButton_Ok)).execute();
    };
 
+   // show the current logo settings in the logo controls
+   this.updateLogoControls = function() {
+      this.logoSourceEdit.text = annotationFrameParameters.logoSource;
+      this.logoSlot_ComboBox.currentItem = logoSlots.findIndex(
+         (slot) => slot.id == annotationFrameParameters.logoSlot);
+      this.logoScale.setValue(annotationFrameParameters.logoScale);
+      this.logoTint_ComboBox.currentItem = logoTints.findIndex(
+         (tint) => tint.id == annotationFrameParameters.logoTint);
+   };
+   this.updateLogoControls();
+
    // add a label for the vertical border width
    this.verBorderWidthLabel = new Label(this);
    this.verBorderWidthLabel.text = "Frame height(%)";
@@ -931,8 +4794,9 @@ function annotationFrameDialog() {
    {
       frameHeightIncPerc = value;
       //calculations need to be done whenever geometry is changed
-      calculateAllDimensions(annotationFrameParameters.imageView);
+      calculateAllDimensions(this.dialog.layoutView());
       calculateFonts();
+      this.dialog.schedulePreviewUpdate();
    };
 
    // add a label for the vertical image placement
@@ -957,8 +4821,9 @@ function annotationFrameDialog() {
       verticalImageOffset = value;
       verticalImageFactor = calculateDisplacement(value);
       //calculations need to be done whenever geometry is changed
-      calculateAllDimensions(annotationFrameParameters.imageView);
+      calculateAllDimensions(this.dialog.layoutView());
       calculateFonts();
+      this.dialog.schedulePreviewUpdate();
    };
 
    // add a label for the horizontal border width
@@ -981,8 +4846,28 @@ function annotationFrameDialog() {
    this.horBorderWidthFactor.onValueUpdated = function(value)
    {
       frameWidthIncPerc = value;
+      //calculations need to be done whenever geometry is changed
+      calculateAllDimensions(this.dialog.layoutView());
+      calculateFonts();
+      this.dialog.schedulePreviewUpdate();
    };
 
+   // tool tip explaining the FITS keyword placeholders of the text boxes
+   var templateToolTip = "<p>Texts can contain placeholders for FITS keywords of the image:</p>" +
+      "<p><b>{OBJECT}</b>: value of the keyword OBJECT<br>" +
+      "<b>{FOCALLEN:.0}</b>: number with 0 decimals<br>" +
+      "<b>{EXPTIME:hm}</b>, <b>{EXPTIME:hms}</b>, <b>{EXPTIME:h:mm}</b>: seconds as hours and minutes<br>" +
+      "<b>{DATE-OBS:date=DD MMM YYYY}</b>: date formatted with YYYY, YY, MMM, MM, DD, hh, mm, ss<br>" +
+      "<b>{FILTER|none}</b>: text after | is used if the keyword is missing<br>" +
+      "<b>{WCS.RA}</b>, <b>{WCS.DEC}</b>, <b>{WCS.FOV}</b>, <b>{WCS.FOV:arcmin}</b>, " +
+      "<b>{WCS.SCALE}</b>, <b>{WCS.ROTATION}</b>: astrometry of plate solved images<br>" +
+      "<b>{{</b>, <b>}}</b>: literal braces</p>" +
+      "<p>Markup: <b>**bold**</b>, <b>*italic*</b>, <b>^{superscript}</b>, " +
+      "<b>_{subscript}</b>, symbols <b>\\Ha</b>, <b>\\Hb</b>, <b>\\OIII</b>, " +
+      "<b>\\OII</b>, <b>\\SII</b>, <b>\\NII</b>, <b>\\deg</b>, <b>\\arcmin</b>, " +
+      "<b>\\arcsec</b>, <b>\\pm</b>, <b>\\times</b>, <b>\\alpha</b>, ... and " +
+      "<b>\\*</b>, <b>\\^</b>, <b>\\_</b>, <b>\\\\</b> for literal characters</p>";
+
    // add a image title textbox
    this.imageTitle = new Edit(this);
    this.imageTitle.readOnly = false;
@@ -992,8 +4877,10 @@ function annotationFrameDialog() {
    this.imageTitle.minWidth = 600;
    this.imageTitle.maxWidth = 600;
    this.imageTitle.text = annotationFrameParameters.titleText;
+   this.imageTitle.toolTip = templateToolTip;
    this.imageTitle.onTextUpdated = () => {
          annotationFrameParameters.titleText = this.imageTitle.text;
+         this.schedulePreviewUpdate();
    }
 
    // add check length button
@@ -1002,355 +4889,740 @@ function annotationFrameDialog() {
    this.lengthCheckButton.width = 40;
    this.lengthCheckButton.enabled = false;
    this.lengthCheckButton.onClick = () => {
-       //close renderWindow if it already exists, since dimensions may be wrong
-      if ((typeof(renderWindow) != "undefined") && !renderWindow.isNull)
-         closeTextRenderWindow(renderWindow);
-
-      //create rendewWindow with new dimensions
-      if (!this.imageViewList.currentView.isNull)
-         renderWindow = createTextRenderWindow();
+      var i, line, block, edit;
 
       //title
-      if (titleFits(this.imageTitle.text) == false) {
+      if (titleFits(expandTemplate(this.imageTitle.text, true)) == false) {
         this.imageTitle.foregroundColor = 0xFF0000;
       }
       else {
         this.imageTitle.foregroundColor = 0x000000;
       }
-      //bottom left
-      if (this.leftColumnCheckbox.checked) {
-         if (textFits(this.bottomLeftText1.text,
-            annotationFrameParameters.nrOfColumns) == false) {
-           this.bottomLeftText1.foregroundColor = 0xFF0000;
-         }
-         else {
-           this.bottomLeftText1.foregroundColor = 0x000000;
-         }
 
-         if (textFits(this.bottomLeftText2.text,
-            annotationFrameParameters.nrOfColumns) == false) {
-           this.bottomLeftText2.foregroundColor = 0xFF0000;
-         }
-         else {
-           this.bottomLeftText2.foregroundColor = 0x000000;
-         }
+      //subtitle
+      if (titleFits(expandTemplate(this.imageSubtitle.text, true), subtitleFont) == false) {
+        this.imageSubtitle.foregroundColor = 0xFF0000;
+      }
+      else {
+        this.imageSubtitle.foregroundColor = 0x000000;
+      }
 
-         if (textFits(this.bottomLeftText3.text,
-            annotationFrameParameters.nrOfColumns) == false) {
-           this.bottomLeftText3.foregroundColor = 0xFF0000;
-         }
-         else {
-           this.bottomLeftText3.foregroundColor = 0x000000;
+      //bottom columns
+      for (i=0;i<columnBlocks.length;i++) {
+         block = columnBlocks[i].block;
+         if (!annotationFrameParameters[block + "Column"])
+            continue;
+
+         for (line=0;line<annotationFrameParameters.linesPerColumn[block];line++) {
+            edit = this.columnControls[block].textEdits[line];
+            if (textFits(expandTemplate(edit.text, true),
+               annotationFrameParameters.nrOfColumns, fieldStyle(block, line)) == false) {
+              edit.foregroundColor = 0xFF0000;
+            }
+            else {
+              edit.foregroundColor = 0x000000;
+            }
          }
       }
-      //bottom center
-      if (this.centerColumnCheckbox.checked) {
-         if (textFits(this.bottomCenterText1.text,
-            annotationFrameParameters.nrOfColumns) == false) {
-           this.bottomCenterText1.foregroundColor = 0xFF0000;
-         }
-         else {
-           this.bottomCenterText1.foregroundColor = 0x000000;
-         }
+   };
 
-         if (textFits(this.bottomCenterText2.text,
-            annotationFrameParameters.nrOfColumns) == false) {
-           this.bottomCenterText2.foregroundColor = 0xFF0000;
-         }
-         else {
-           this.bottomCenterText2.foregroundColor = 0x000000;
-         }
+   // add a image subtitle textbox
+   this.imageSubtitle = new Edit(this);
+   this.imageSubtitle.readOnly = false;
+   this.imageSubtitle.enabled = false;
+   this.imageSubtitle.minHeight = 30;
+   this.imageSubtitle.maxHeight = 30;
+   this.imageSubtitle.minWidth = 600;
+   this.imageSubtitle.maxWidth = 600;
+   this.imageSubtitle.text = annotationFrameParameters.subtitleText;
+   this.imageSubtitle.toolTip = "<p>Optional subtitle below the title, " +
+      "e.g. NGC 7000 \u00B7 Cygnus. Leave empty for a title without subtitle.</p>" +
+      templateToolTip;
+   this.imageSubtitle.onTextUpdated = () => {
+      annotationFrameParameters.subtitleText = this.imageSubtitle.text;
+      //title font size depends on the presence of a subtitle
+      calculateFonts();
+      this.schedulePreviewUpdate();
+   };
 
-         if (textFits(this.bottomCenterText3.text,
-            annotationFrameParameters.nrOfColumns) == false) {
-           this.bottomCenterText3.foregroundColor = 0xFF0000;
-         }
-         else {
-           this.bottomCenterText3.foregroundColor = 0x000000;
-         }
+   // add a selector for the subtitle font
+   this.subtitleFont_ComboBox = new ComboBox(this);
+   this.subtitleFont_ComboBox.minWidth = 200;
+   this.subtitleFont_ComboBox.maxWidth = 300;
+   this.subtitleFont_ComboBox.addItem( "Helvetica" );
+   this.subtitleFont_ComboBox.addItem( "Times" );
+   this.subtitleFont_ComboBox.addItem( "Courier" );
+   this.subtitleFont_ComboBox.addItem( "SansSerif" );
+   this.subtitleFont_ComboBox.addItem( "Serif" );
+   this.subtitleFont_ComboBox.addItem( "Monospace" );
+   this.subtitleFont_ComboBox.editEnabled = true;
+   this.subtitleFont_ComboBox.editText = subtitleFont.fontName;
+   this.subtitleFont_ComboBox.toolTip = "Type a font face to draw the subtitle with, or select a standard font family.";
+   this.subtitleFont_ComboBox.onEditTextUpdated = function() {
+      subtitleFont.fontName = this.editText;
+      this.dialog.schedulePreviewUpdate();
+   };
+   this.subtitleFont_ComboBox.onItemSelected = function(index) {
+      subtitleFont.fontName = this.itemText(index);
+      this.dialog.schedulePreviewUpdate();
+   };
+
+   //add a numeric control for the size of the subtitle relative to the title
+   this.subtitleSizeRatio = new NumericControl(this);
+   this.subtitleSizeRatio.label.text = "Size ratio:";
+   this.subtitleSizeRatio.enabled = false;
+   this.subtitleSizeRatio.setRange(0.3, 1);
+   this.subtitleSizeRatio.setPrecision(2);
+   this.subtitleSizeRatio.slider.setRange(0, 70);
+   this.subtitleSizeRatio.minWidth = 250;
+   this.subtitleSizeRatio.maxWidth = 300;
+   this.subtitleSizeRatio.setValue(subtitleFont.sizeRatio);
+   this.subtitleSizeRatio.toolTip = "<p>Font size of the subtitle relative to the title. " +
+      "Title and subtitle share the height of the title bar.</p>";
+   this.subtitleSizeRatio.onValueUpdated = function(value)
+   {
+      subtitleFont.sizeRatio = value;
+      calculateFonts();
+      this.dialog.schedulePreviewUpdate();
+   };
+
+   // add bold, italic and letter spacing controls for title, subtitle and annotation,
+   // size and shadow controls for the fonts that have them
+   this.typographyControls = {};
+
+   var typographyFonts = [
+      {id: "title", name: "Title", font: titleFont},
+      {id: "subtitle", name: "Subtitle", font: subtitleFont},
+      {id: "bottom", name: "Annotation", font: bottomFont}
+   ];
+   for (var i = 0; i < typographyFonts.length; i++) {
+      let font = typographyFonts[i].font;
+      let controls = {};
+
+      controls.label = new Label(this);
+      controls.label.text = typographyFonts[i].name + " style:";
+      controls.label.minWidth = 90;
+
+      controls.boldCheckbox = new CheckBox(this);
+      controls.boldCheckbox.text = "Bold";
+      controls.boldCheckbox.checked = font.bold;
+      controls.boldCheckbox.onClick = () => {
+         font.bold = controls.boldCheckbox.checked;
+         this.schedulePreviewUpdate();
+      };
+
+      controls.italicCheckbox = new CheckBox(this);
+      controls.italicCheckbox.text = "Italic";
+      controls.italicCheckbox.checked = font.italic;
+      controls.italicCheckbox.onClick = () => {
+         font.italic = controls.italicCheckbox.checked;
+         this.schedulePreviewUpdate();
+      };
+
+      controls.spacingLabel = new Label(this);
+      controls.spacingLabel.text = "Letter spacing (%):";
+
+      controls.spacingSpinBox = new SpinBox(this);
+      controls.spacingSpinBox.setRange(-10, 50);
+      controls.spacingSpinBox.value = font.letterSpacing;
+      controls.spacingSpinBox.toolTip = "<p>Additional space between characters " +
+         "in % of the font size.</p>";
+      controls.spacingSpinBox.onValueUpdated = (value) => {
+         font.letterSpacing = value;
+         this.schedulePreviewUpdate();
+      };
+
+      if ("shadow" in font) {
+         controls.shadowCheckbox = new CheckBox(this);
+         controls.shadowCheckbox.text = "Shadow";
+         controls.shadowCheckbox.checked = font.shadow;
+         controls.shadowCheckbox.toolTip = "<p>Draw a dark shadow to the lower right " +
+            "of the text.</p>";
+         controls.shadowCheckbox.onClick = () => {
+            font.shadow = controls.shadowCheckbox.checked;
+            this.schedulePreviewUpdate();
+         };
+      }
+
+      //subtitle size is set relative to the title by subtitleSizeRatio
+      if ("fontSizeFactor" in font) {
+         controls.sizeControl = new NumericControl(this);
+         controls.sizeControl.label.text = "Size:";
+         controls.sizeControl.setRange(0.1, 0.8);
+         controls.sizeControl.setPrecision(2);
+         controls.sizeControl.slider.setRange(0, 70);
+         controls.sizeControl.minWidth = 250;
+         controls.sizeControl.maxWidth = 300;
+         controls.sizeControl.setValue(font.fontSizeFactor);
+         controls.sizeControl.toolTip = (font == titleFont) ?
+            "<p>Font size relative to the height of the title bar.</p>" :
+            "<p>Font size relative to the height of a line of the bottom bar.</p>";
+         controls.sizeControl.onValueUpdated = (value) => {
+            font.fontSizeFactor = value;
+            calculateFonts();
+            this.schedulePreviewUpdate();
+         };
+      }
+
+      this.typographyControls[typographyFonts[i].id] = controls;
+   }
+
+   // show the current subtitle and typographic settings in the controls
+   this.updateTypographyControls = function() {
+      var i, font, controls;
+
+      this.imageSubtitle.text = annotationFrameParameters.subtitleText;
+      this.subtitleFont_ComboBox.editText = subtitleFont.fontName;
+      this.subtitleSizeRatio.setValue(subtitleFont.sizeRatio);
+
+      for (i=0;i<typographyFonts.length;i++) {
+         font = typographyFonts[i].font;
+         controls = this.typographyControls[typographyFonts[i].id];
+         controls.boldCheckbox.checked = font.bold;
+         controls.italicCheckbox.checked = font.italic;
+         controls.spacingSpinBox.value = font.letterSpacing;
+         if (controls.shadowCheckbox != undefined)
+            controls.shadowCheckbox.checked = font.shadow;
+         if (controls.sizeControl != undefined)
+            controls.sizeControl.setValue(font.fontSizeFactor);
+      }
+   };
+
+   // add the image view box showing a preview of the framed image
+   this.previewImage = undefined;   //downscaled copy of the target image
+   this.previewBitmap = undefined;  //rendered preview of the framed image
+
+   this.imageViewBox = new Control(this);
+   this.imageViewBox.minHeight = 250;
+   this.imageViewBox.minWidth = 800;
+   this.imageViewBox.toolTip = "<p>Preview of the framed image.</p>";
+   this.imageViewBox.onPaint = function(x0, y0, x1, y1) {
+      var g = new Graphics(this);
+      //dark gray background to distinguish the black frame from the box
+      g.fillRect(x0, y0, x1, y1, new Brush(0xFF404040));
+
+      var bitmap = this.dialog.previewBitmap;
+      if (bitmap != undefined) {
+         //scale bitmap to fit into the box, keeping its aspect ratio
+         var scale = Math.min(this.width / bitmap.width,
+            this.height / bitmap.height);
+         var width = Math.round(bitmap.width * scale);
+         var height = Math.round(bitmap.height * scale);
+         var left = Math.round((this.width - width) / 2);
+         var top = Math.round((this.height - height) / 2);
+
+         g.smoothInterpolation = true;
+         g.drawScaledBitmap(new Rect(left, top, left + width, top + height),
+            bitmap);
       }
+      g.end();
+   };
+
+   // render the preview again, e.g. after a setting has been changed
+   this.updatePreview = function() {
+      this.previewTimer.stop();
+
+      if ((annotationFrameParameters.imageView == undefined) ||
+         annotationFrameParameters.imageView.isNull ||
+         (this.previewImage == undefined))
+         return;
+
+      this.previewBitmap = renderPreviewBitmap(this.layoutView(), this.previewImage);
+      this.imageViewBox.update();
+   };
+
+   // delay preview rendering while a setting is still being changed
+   this.previewTimer = new Timer;
+   this.previewTimer.interval = 0.5;   //seconds
+   this.previewTimer.periodic = false;
+   this.previewTimer.onTimeout = () => {
+      this.updatePreview();
+   };
 
-      //bottom right
-      if (this.rightColumnCheckbox.checked) {
-         if (textFits(this.bottomRightText1.text,
-            annotationFrameParameters.nrOfColumns) == false) {
-           this.bottomRightText1.foregroundColor = 0xFF0000;
+   this.schedulePreviewUpdate = function() {
+      this.previewTimer.stop();
+      this.previewTimer.start();
+   };
+
+   // add the controls of the bottom columns: label, enable checkbox,
+   // number of lines and one text box with style button per line
+   this.columnControls = {};
+
+   for (var i = 0; i < columnBlocks.length; i++) {
+      let block = columnBlocks[i].block;
+      let controls = {textEdits: [], styleButtons: []};
+
+      controls.label = new Label(this);
+      controls.label.text = {left: "Left aligned", center: "Centered",
+         right: "Right aligned"}[block];
+
+      controls.checkbox = new CheckBox(this);
+      controls.checkbox.text = "Enable column";
+      controls.checkbox.enabled = false;
+      controls.checkbox.checked = annotationFrameParameters[block + "Column"];
+      controls.checkbox.onClick = () => {
+         //the text of the column would be drawn over an item at its place
+         var item = slotItems.find((item) => isSlotItemShown(item) &&
+            (slotBlock(annotationFrameParameters[item.parameter]) != undefined) &&
+            (slotBlock(annotationFrameParameters[item.parameter]).block == block));
+         if (controls.checkbox.checked && (item != undefined)) {
+            (new MessageBox("The " + item.name + " is drawn at the place of the " +
+               "column. Please move the " + item.name + " before enabling the column.",
+               "Place", StdIcon_Warning, StdButton_Ok)).execute();
+            controls.checkbox.checked = false;
+            return;
          }
-         else {
-           this.bottomRightText1.foregroundColor = 0x000000;
+         annotationFrameParameters[block + "Column"] = controls.checkbox.checked;
+         this.updateColumnControls();
+
+         countBottomColumns();
+
+         //height of the bottom bar depends on the tallest enabled column
+         calculateAllDimensions(this.layoutView());
+         calculateFonts();
+         this.schedulePreviewUpdate();
+      };
+
+      controls.linesLabel = new Label(this);
+      controls.linesLabel.text = "Lines:";
+
+      controls.linesSpinBox = new SpinBox(this);
+      controls.linesSpinBox.enabled = false;
+      controls.linesSpinBox.setRange(1, maxLinesPerColumn);
+      controls.linesSpinBox.value = annotationFrameParameters.linesPerColumn[block];
+      controls.linesSpinBox.toolTip = "<p>Number of text lines of the column. " +
+         "The height of the bottom bar is calculated from the tallest column.</p>";
+      controls.linesSpinBox.onValueUpdated = (value) => {
+         annotationFrameParameters.linesPerColumn[block] = value;
+         this.updateColumnControls();
+
+         //height of the bottom bar depends on the tallest enabled column
+         calculateAllDimensions(this.layoutView());
+         calculateFonts();
+         this.schedulePreviewUpdate();
+      };
+
+      for (let line = 0; line < maxLinesPerColumn; line++) {
+         let edit = new Edit(this);
+         edit.readOnly = false;
+         edit.enabled = false;
+         edit.minHeight = 40;
+         edit.maxHeight = 40;
+         edit.minWidth = 300;
+         edit.maxWidth = 450;
+         edit.text = annotationFrameParameters.bottomText[block][line];
+         edit.toolTip = templateToolTip;
+         edit.onTextUpdated = () => {
+            annotationFrameParameters.bottomText[block][line] = edit.text;
+            this.schedulePreviewUpdate();
+         };
+         controls.textEdits.push(edit);
+
+         let styleButton = new ToolButton(this);
+         styleButton.text = "Aa";
+         styleButton.checkable = true;
+         styleButton.enabled = false;
+         styleButton.toolTip = "<p>Font, size, bold, italic, color and shadow of the " +
+            "line. The button is checked if the line has its own style.</p>";
+         styleButton.onClick = () => {
+            if ((new fieldStyleDialog(block, line)).execute())
+               this.schedulePreviewUpdate();
+            this.updateColumnControls();
+         };
+         controls.styleButtons.push(styleButton);
+      }
+
+      this.columnControls[block] = controls;
+   }
+
+   // show texts, number of lines and enabled state of the bottom columns
+   this.updateColumnControls = function() {
+      var i, line, block, controls;
+
+      for (i=0;i<columnBlocks.length;i++) {
+         block = columnBlocks[i].block;
+         controls = this.columnControls[block];
+
+         controls.checkbox.checked = annotationFrameParameters[block + "Column"];
+         controls.linesSpinBox.value = annotationFrameParameters.linesPerColumn[block];
+         controls.linesSpinBox.enabled = controls.checkbox.enabled &&
+            annotationFrameParameters[block + "Column"];
+
+         for (line=0;line<maxLinesPerColumn;line++) {
+            controls.textEdits[line].text =
+               annotationFrameParameters.bottomText[block][line];
+            controls.textEdits[line].visible =
+               line < annotationFrameParameters.linesPerColumn[block];
+            controls.textEdits[line].enabled = controls.linesSpinBox.enabled;
+            controls.styleButtons[line].checked =
+               !annotationFrameParameters.fieldStyles[block][line].sameAsColumn;
+            controls.styleButtons[line].visible = controls.textEdits[line].visible;
+            controls.styleButtons[line].enabled = controls.linesSpinBox.enabled;
          }
+      }
+   };
+
+   // add selector and button to fill a bottom column with astrometric information
+   this.astrometryLabel = new Label(this);
+   this.astrometryLabel.text = "Astrometry:";
+
+   this.astrometry_ComboBox = new ComboBox(this);
+   for (var i = 0; i < columnBlocks.length; i++)
+      this.astrometry_ComboBox.addItem(columnBlocks[i].name + " column");
+   this.astrometry_ComboBox.currentItem = columnBlocks.length - 1;
+   this.astrometry_ComboBox.enabled = false;
+   this.astrometry_ComboBox.toolTip = "<p>Bottom column to fill with the astrometric " +
+      "information of the image.</p>";
+
+   this.astrometryButton = new PushButton(this);
+   this.astrometryButton.text = "Fill";
+   this.astrometryButton.enabled = false;
+   this.astrometryButton.toolTip = "<p>Fill the selected bottom column with the " +
+      "coordinates of the image center, the field of view, the pixel scale and the " +
+      "rotation angle. The values are calculated from the WCS keywords of a plate " +
+      "solved image.</p>";
+   this.astrometryButton.onClick = () => {
+      var block = columnBlocks[this.astrometry_ComboBox.currentItem].block;
+      var line;
+
+      try {
+         readWCS();
+      }
+      catch (error) {
+         (new MessageBox(error.message, "Astrometry", StdIcon_Error,
+            StdButton_Ok)).execute();
+         return;
+      }
+
+      for (line=0;line<maxLinesPerColumn;line++)
+         annotationFrameParameters.bottomText[block][line] =
+            (line < astrometryTemplates.length) ? astrometryTemplates[line] : "";
+      annotationFrameParameters.linesPerColumn[block] = astrometryTemplates.length;
+      annotationFrameParameters[block + "Column"] = true;
+      countBottomColumns();
+      this.updateColumnControls();
+
+      //height of the bottom bar depends on the tallest enabled column
+      calculateAllDimensions(this.layoutView());
+      calculateFonts();
+      this.schedulePreviewUpdate();
+   };
 
-         if (textFits(this.bottomRightText2.text,
-            annotationFrameParameters.nrOfColumns) == false) {
-           this.bottomRightText2.foregroundColor = 0xFF0000;
+   // add checkbox "RA/Dec ticks"
+   this.coordinateTicksCheckbox = new CheckBox(this);
+   this.coordinateTicksCheckbox.text = "RA/Dec ticks";
+   this.coordinateTicksCheckbox.enabled = false;
+   this.coordinateTicksCheckbox.checked = annotationFrameParameters.coordinateTicks;
+   this.coordinateTicksCheckbox.toolTip = "<p>Draw ticks and labels of right ascension " +
+      "and declination on all four sides of a plate solved image. The distance of " +
+      "the ticks is selected from the field of view.</p>";
+   this.coordinateTicksCheckbox.onClick = () => {
+      if (this.coordinateTicksCheckbox.checked) {
+         try {
+            readWCS();
          }
-         else {
-           this.bottomRightText2.foregroundColor = 0x000000;
+         catch (error) {
+            (new MessageBox(error.message, "Astrometry", StdIcon_Error,
+               StdButton_Ok)).execute();
+            this.coordinateTicksCheckbox.checked = false;
+            return;
          }
+      }
+      annotationFrameParameters.coordinateTicks = this.coordinateTicksCheckbox.checked;
+
+      //space for the labels above and below the image
+      calculateAllDimensions(this.layoutView());
+      calculateFonts();
+      this.schedulePreviewUpdate();
+   };
 
-         if (textFits(this.bottomRightText3.text,
-            annotationFrameParameters.nrOfColumns) == false) {
-           this.bottomRightText3.foregroundColor = 0xFF0000;
+   // add selectors for the places of the scale bar, the compass and the legend,
+   // the scale bar and the compass need a plate solved image
+   var slotSelector = (parent, parameter, toolTip, needsWCS) => {
+      var comboBox = new ComboBox(parent);
+      comboBox.enabled = false;
+      comboBox.addItem("Off");
+      for (var i = 0; i < logoSlots.length; i++)
+         comboBox.addItem(logoSlots[i].label);
+      comboBox.toolTip = toolTip;
+      comboBox.onItemSelected = (index) => {
+         var occupant = (index > 0) ? slotOccupant(logoSlots[index - 1].id, parameter) : "";
+         if (occupant.length > 0) {
+            this.showSlotUsed(occupant);
+            comboBox.currentItem = 1 + logoSlots.findIndex(
+               (slot) => slot.id == annotationFrameParameters[parameter]);
+            return;
          }
-         else {
-           this.bottomRightText3.foregroundColor = 0x000000;
+         if (needsWCS && (index > 0)) {
+            try {
+               readWCS();
+            }
+            catch (error) {
+               (new MessageBox(error.message, "Astrometry", StdIcon_Error,
+                  StdButton_Ok)).execute();
+               comboBox.currentItem = 0;
+               index = 0;
+            }
          }
-      }
+         annotationFrameParameters[parameter] = (index > 0) ? logoSlots[index - 1].id : "none";
+         this.schedulePreviewUpdate();
+      };
+      return comboBox;
    };
 
-   // add the image view box (mocked up as a black text box)
-   this.imageViewBox = new Edit(this);
-   this.imageViewBox.readOnly = true;
-   this.imageViewBox.minHeight = 250;
-   this.imageViewBox.maxHeight = 250;
-   this.imageViewBox.minWidth = 800;
-   this.imageViewBox.maxWidth = 800;
-   this.imageViewBox.backgroundColor = 4278190080; //black
-
-   // add the bottom left textbox 1
-   this.bottomLeftTextLabel = new Label(this);
-   this.bottomLeftTextLabel.text = "Left aligned"
-
-   this.bottomLeftText1 = new Edit(this);
-   this.bottomLeftText1.readOnly = false;
-   this.bottomLeftText1.enabled = false;
-   this.bottomLeftText1.minHeight = 40;
-   this.bottomLeftText1.maxHeight = 40;
-   this.bottomLeftText1.minWidth = 300;
-   this.bottomLeftText1.maxWidth = 450;
-   this.bottomLeftText1.text = annotationFrameParameters.bottomLeftText1;
-   this.bottomLeftText1.onTextUpdated = () => {
-      annotationFrameParameters.bottomLeftText1 = this.bottomLeftText1.text;
-   }
-   // add the bottom left textbox 2
-   this.bottomLeftText2 = new Edit(this);
-   this.bottomLeftText2.readOnly = false;
-   this.bottomLeftText2.enabled = false;
-   this.bottomLeftText2.minHeight = 40;
-   this.bottomLeftText2.maxHeight = 40;
-   this.bottomLeftText2.minWidth = 300;
-   this.bottomLeftText2.maxWidth = 450;
-   this.bottomLeftText2.text = annotationFrameParameters.bottomLeftText2;
-   this.bottomLeftText2.onTextUpdated = () => {
-      annotationFrameParameters.bottomLeftText2 = this.bottomLeftText2.text;
-   }
-   // add the bottom left textbox 3
-   this.bottomLeftText3 = new Edit(this);
-   this.bottomLeftText3.readOnly = false;
-   this.bottomLeftText3.enabled = false;
-   this.bottomLeftText3.minHeight = 40;
-   this.bottomLeftText3.maxHeight = 40;
-   this.bottomLeftText3.minWidth = 300;
-   this.bottomLeftText3.maxWidth = 450;
-   this.bottomLeftText3.text = annotationFrameParameters.bottomLeftText3;
-   this.bottomLeftText3.onTextUpdated = () => {
-      annotationFrameParameters.bottomLeftText3 = this.bottomLeftText3.text;
-   }
-
-   // add the bottom center textbox 1
-   this.bottomCenterTextLabel = new Label(this);
-   this.bottomCenterTextLabel.text = "Centered"
-
-
-   this.bottomCenterText1 = new Edit(this);
-   this.bottomCenterText1.readOnly = false;
-   this.bottomCenterText1.enabled = false;
-   this.bottomCenterText1.minHeight = 40;
-   this.bottomCenterText1.maxHeight = 40;
-   this.bottomCenterText1.minWidth = 300;
-   this.bottomCenterText1.maxWidth = 450;
-   this.bottomCenterText1.text = annotationFrameParameters.bottomCenterText1;
-   this.bottomCenterText1.onTextUpdated = () => {
-      annotationFrameParameters.bottomCenterText1 = this.bottomCenterText1.text;
-   }
-   // add the bottom center textbox 2
-   this.bottomCenterText2 = new Edit(this);
-   this.bottomCenterText2.readOnly = false;
-   this.bottomCenterText2.enabled = false;
-   this.bottomCenterText2.minHeight = 40;
-   this.bottomCenterText2.maxHeight = 40;
-   this.bottomCenterText2.minWidth = 300;
-   this.bottomCenterText2.maxWidth = 450;
-   this.bottomCenterText2.text = annotationFrameParameters.bottomCenterText2;
-   this.bottomCenterText2.onTextUpdated = () => {
-      annotationFrameParameters.bottomCenterText2 = this.bottomCenterText2.text;
-   }
-   // add the bottom center textbox 3
-   this.bottomCenterText3 = new Edit(this);
-   this.bottomCenterText3.readOnly = false;
-   this.bottomCenterText3.enabled = false;
-   this.bottomCenterText3.minHeight = 40;
-   this.bottomCenterText3.maxHeight = 40;
-   this.bottomCenterText3.minWidth = 300;
-   this.bottomCenterText3.maxWidth = 450;
-   this.bottomCenterText3.text = annotationFrameParameters.bottomCenterText3;
-   this.bottomCenterText3.onTextUpdated = () => {
-      annotationFrameParameters.bottomCenterText3 = this.bottomCenterText3.text;
-   }
-
-   // add the bottom right textbox 1
-   this.bottomRightTextLabel = new Label(this);
-   this.bottomRightTextLabel.text = "Right aligned"
-
-   this.bottomRightText1 = new Edit(this);
-   this.bottomRightText1.readOnly = false;
-   this.bottomRightText1.enabled = false;
-   this.bottomRightText1.minHeight = 40;
-   this.bottomRightText1.maxHeight = 40;
-   this.bottomRightText1.minWidth = 300;
-   this.bottomRightText1.maxWidth = 450;
-   this.bottomRightText1.text = annotationFrameParameters.bottomRightText1;
-   this.bottomRightText1.onTextUpdated = () => {
-      annotationFrameParameters.bottomRightText1 = this.bottomRightText1.text;
-   }
-   // add the bottom right textbox 2
-   this.bottomRightText2 = new Edit(this);
-   this.bottomRightText2.readOnly = false;
-   this.bottomRightText2.enabled = false;
-   this.bottomRightText2.minHeight = 40;
-   this.bottomRightText2.maxHeight = 40;
-   this.bottomRightText2.minWidth = 300;
-   this.bottomRightText2.maxWidth = 450;
-   this.bottomRightText2.text = annotationFrameParameters.bottomRightText2;
-   this.bottomRightText2.onTextUpdated = () => {
-      annotationFrameParameters.bottomRightText2 = this.bottomRightText2.text;
-   }
-   // add the bottom right textbox 3
-   this.bottomRightText3 = new Edit(this);
-   this.bottomRightText3.readOnly = false;
-   this.bottomRightText3.enabled = false;
-   this.bottomRightText3.minHeight = 40;
-   this.bottomRightText3.maxHeight = 40;
-   this.bottomRightText3.minWidth = 300;
-   this.bottomRightText3.maxWidth = 450;
-   this.bottomRightText3.text = annotationFrameParameters.bottomRightText3;
-   this.bottomRightText3.onTextUpdated = () => {
-      annotationFrameParameters.bottomRightText3 = this.bottomRightText3.text;
-   }
-
-   // add checkbox "enable left column"
-   this.leftColumnCheckbox = new CheckBox(this);
-   this.leftColumnCheckbox.text = "Enable column"
-   this.leftColumnCheckbox.enabled = false;
-   this.leftColumnCheckbox.minWidth = 300;
-   this.leftColumnCheckbox.maxWidth = 450;
+   this.scaleBarLabel = new Label(this);
+   this.scaleBarLabel.text = "Scale bar:";
+   this.scaleBar_ComboBox = slotSelector(this, "scaleBarSlot",
+      "<p>Place of a bar of a round angular length, calculated from the pixel scale " +
+      "of a plate solved image.</p>", true);
+
+   this.compassLabel = new Label(this);
+   this.compassLabel.text = "Compass:";
+   this.compass_ComboBox = slotSelector(this, "compassSlot",
+      "<p>Place of arrows pointing north and east, calculated from the rotation " +
+      "and orientation of a plate solved image.</p>", true);
+
+   // show the current places of scale bar and compass, "none" is the first item
+   this.updateAstrometryControls = function() {
+      this.coordinateTicksCheckbox.checked = annotationFrameParameters.coordinateTicks;
+      this.scaleBar_ComboBox.currentItem = 1 + logoSlots.findIndex(
+         (slot) => slot.id == annotationFrameParameters.scaleBarSlot);
+      this.compass_ComboBox.currentItem = 1 + logoSlots.findIndex(
+         (slot) => slot.id == annotationFrameParameters.compassSlot);
+   };
+   this.updateAstrometryControls();
+
+   // add selector for the place of the filter legend and a button to edit the filters
+   this.legendLabel = new Label(this);
+   this.legendLabel.text = "Filter legend:";
+   this.legend_ComboBox = slotSelector(this, "legendSlot",
+      "<p>Place of the legend with color swatches, filter names and integration " +
+      "times.</p>", false);
+
+   this.legendButton = new PushButton(this);
+   this.legendButton.text = "Filters...";
+   this.legendButton.enabled = false;
+   this.legendButton.toolTip = "<p>Edit the filters of the legend or select a palette.</p>";
+   this.legendButton.onClick = () => {
+      (new legendDialog).execute();
+      this.schedulePreviewUpdate();
+   };
 
-   if (annotationFrameParameters.leftColumn)
-     this.leftColumnCheckbox.checked = true;
-   else
-     this.leftColumnCheckbox.checked = false;
+   this.updateLegendControls = function() {
+      this.legend_ComboBox.currentItem = 1 + logoSlots.findIndex(
+         (slot) => slot.id == annotationFrameParameters.legendSlot);
+   };
+   this.updateLegendControls();
+
+   // add checkbox "auto-fit font sizes"
+   this.autoFitCheckbox = new CheckBox(this);
+   this.autoFitCheckbox.text = "Auto-fit font sizes";
+   this.autoFitCheckbox.checked = annotationFrameParameters.autoFitFonts;
+   this.autoFitCheckbox.toolTip = "<p>Reduce the font size of the title or of a " +
+      "bottom column just enough to fit the available width.</p>";
+   this.autoFitCheckbox.onClick = () => {
+      annotationFrameParameters.autoFitFonts = this.autoFitCheckbox.checked;
+      this.autoFitSameSizeCheckbox.enabled = this.autoFitCheckbox.checked;
+      this.schedulePreviewUpdate();
+   };
 
-   this.leftColumnCheckbox.onClick = () => {
-      if (this.leftColumnCheckbox.checked == true) {
-         annotationFrameParameters.leftColumn = true;
-         //enable left text boxes
-         this.bottomLeftText1.enabled = true;
-         this.bottomLeftText2.enabled = true;
-         this.bottomLeftText3.enabled = true;
+   // add checkbox "same size for all columns"
+   this.autoFitSameSizeCheckbox = new CheckBox(this);
+   this.autoFitSameSizeCheckbox.text = "Same size for all columns";
+   this.autoFitSameSizeCheckbox.enabled = annotationFrameParameters.autoFitFonts;
+   this.autoFitSameSizeCheckbox.checked = annotationFrameParameters.autoFitSameSize;
+   this.autoFitSameSizeCheckbox.toolTip = "<p>Use the smallest reduced font size " +
+      "for all bottom columns to keep the lines visually consistent.</p>";
+   this.autoFitSameSizeCheckbox.onClick = () => {
+      annotationFrameParameters.autoFitSameSize = this.autoFitSameSizeCheckbox.checked;
+      this.schedulePreviewUpdate();
+   };
 
-      }
-      else {
-         annotationFrameParameters.leftColumn = false;
-         //disable left text boxes
-         this.bottomLeftText1.enabled = false;
-         this.bottomLeftText2.enabled = false;
-         this.bottomLeftText3.enabled = false;
-      }
-      // count nr of columns
-      annotationFrameParameters.nrOfColumns = 0;
-      if (annotationFrameParameters.leftColumn)
-         annotationFrameParameters.nrOfColumns++;
-      if (annotationFrameParameters.centerColumn)
-         annotationFrameParameters.nrOfColumns++;
-      if (annotationFrameParameters.rightColumn)
-         annotationFrameParameters.nrOfColumns++;
-   }
+   // add checkbox "create new image"
+   this.newImageCheckbox = new CheckBox(this);
+   this.newImageCheckbox.text = "Create new image";
+   this.newImageCheckbox.checked = annotationFrameParameters.createNewImage;
+   this.newImageCheckbox.toolTip = "<p>Leave the target image untouched and write " +
+      "the framed image to a new image window.</p>";
+   this.newImageCheckbox.onClick = () => {
+      annotationFrameParameters.createNewImage = this.newImageCheckbox.checked;
+      this.newImageIdEdit.enabled = this.newImageCheckbox.checked;
+   };
+
+   this.newImageIdLabel = new Label(this);
+   this.newImageIdLabel.text = "Window id:";
+
+   this.newImageIdEdit = new Edit(this);
+   this.newImageIdEdit.enabled = annotationFrameParameters.createNewImage;
+   this.newImageIdEdit.minWidth = 200;
+   this.newImageIdEdit.text = annotationFrameParameters.newImageIdPattern;
+   this.newImageIdEdit.toolTip = "<p>Id of the new image window. " +
+      "<b>{id}</b> is replaced by the id of the target image.</p>";
+   this.newImageIdEdit.onTextUpdated = () => {
+      annotationFrameParameters.newImageIdPattern = this.newImageIdEdit.text;
+   };
 
+   // add checkbox "reopen after execute"
+   this.reopenCheckbox = new CheckBox(this);
+   this.reopenCheckbox.text = "Reopen";
+   this.reopenCheckbox.checked = false;
+   this.reopenCheckbox.toolTip = "<p>Open the dialog again on the framed image after " +
+      "Execute to iterate on the settings. The frame is removed before reframing.</p>";
+
+   // add the new instance button to create a process icon of the script
+   this.newInstanceButton = new ToolButton(this);
+   this.newInstanceButton.icon = this.scaledResource(":/process-interface/new-instance.png");
+   this.newInstanceButton.setScaledFixedSize(24, 24);
+   this.newInstanceButton.toolTip = "<p>New instance: drag to the workspace to create " +
+      "a process icon with the current settings.</p>";
+   this.newInstanceButton.onMousePress = () => {
+      this.hasFocus = true;
+      exportParameters();
+      this.newInstance();
+   };
 
-   // add checkbox "enable center column"
-   this.centerColumnCheckbox = new CheckBox(this);
-   this.centerColumnCheckbox.text = "Enable column"
-   this.centerColumnCheckbox.enabled = false;
-   this.centerColumnCheckbox.minWidth = 300;
-   this.centerColumnCheckbox.maxWidth = 450;
+   // add the print layout controls
+   this.printCheckbox = new CheckBox(this);
+   this.printCheckbox.text = "Print layout";
+   this.printCheckbox.toolTip = "<p>Resample and frame the image so that it matches " +
+      "the paper size at the given DPI. The paper is turned to the orientation of the image.</p>";
+   this.printCheckbox.onClick = () => {
+      printSettings.enabled = this.printCheckbox.checked;
+      this.updatePrintControls();
+      this.schedulePreviewUpdate();
+   };
 
+   this.paper_ComboBox = new ComboBox(this);
+   for (var i = 0; i < paperSizes.length; i++)
+      this.paper_ComboBox.addItem(paperSizes[i].label);
+   this.paper_ComboBox.onItemSelected = (index) => {
+      printSettings.paper = paperSizes[index].id;
+      this.updatePrintControls();
+      this.schedulePreviewUpdate();
+   };
 
-   if (annotationFrameParameters.centerColumn)
-     this.centerColumnCheckbox.checked = true;
-   else
-     this.centerColumnCheckbox.checked = false;
+   this.paperWidthSpinBox = new SpinBox(this);
+   this.paperWidthSpinBox.setRange(50, 2000);
+   this.paperWidthSpinBox.toolTip = "<p>Width of the custom paper in mm.</p>";
+   this.paperWidthSpinBox.onValueUpdated = (value) => {
+      printSettings.customWidth = value;
+      this.schedulePreviewUpdate();
+   };
 
-   this.centerColumnCheckbox.onClick = () => {
-      if (this.centerColumnCheckbox.checked == true) {
-         annotationFrameParameters.centerColumn = true;
-         //enable center text boxes
-         this.bottomCenterText1.enabled = true;
-         this.bottomCenterText2.enabled = true;
-         this.bottomCenterText3.enabled = true;
+   this.paperSizeLabel = new Label(this);
+   this.paperSizeLabel.text = "\u00D7";
 
-      }
-      else {
-         annotationFrameParameters.centerColumn = false;
-         //disable center text boxes
-         this.bottomCenterText1.enabled = false;
-         this.bottomCenterText2.enabled = false;
-         this.bottomCenterText3.enabled = false;
-      }
-      // count nr of columns
-      annotationFrameParameters.nrOfColumns = 0;
-      if (annotationFrameParameters.leftColumn)
-         annotationFrameParameters.nrOfColumns++;
-      if (annotationFrameParameters.centerColumn)
-         annotationFrameParameters.nrOfColumns++;
-      if (annotationFrameParameters.rightColumn)
-         annotationFrameParameters.nrOfColumns++;
-   }
+   this.paperHeightSpinBox = new SpinBox(this);
+   this.paperHeightSpinBox.setRange(50, 2000);
+   this.paperHeightSpinBox.toolTip = "<p>Height of the custom paper in mm.</p>";
+   this.paperHeightSpinBox.onValueUpdated = (value) => {
+      printSettings.customHeight = value;
+      this.schedulePreviewUpdate();
+   };
+
+   this.paperUnitLabel = new Label(this);
+   this.paperUnitLabel.text = "mm";
+
+   this.dpiLabel = new Label(this);
+   this.dpiLabel.text = "DPI:";
 
+   this.dpiSpinBox = new SpinBox(this);
+   this.dpiSpinBox.setRange(72, 1200);
+   this.dpiSpinBox.onValueUpdated = (value) => {
+      printSettings.dpi = value;
+   };
+
+   this.bleedLabel = new Label(this);
+   this.bleedLabel.text = "Bleed (mm):";
+
+   this.bleedSpinBox = new SpinBox(this);
+   this.bleedSpinBox.setRange(0, 20);
+   this.bleedSpinBox.toolTip = "<p>Margin in the frame color added around the paper " +
+      "that is cut off after printing.</p>";
+   this.bleedSpinBox.onValueUpdated = (value) => {
+      printSettings.bleed = value;
+   };
 
-   // add checkbox "enable right column"
-   this.rightColumnCheckbox = new CheckBox(this);
-   this.rightColumnCheckbox.text = "Enable column"
-   this.rightColumnCheckbox.enabled = false;
-   this.rightColumnCheckbox.minWidth = 300;
-   this.rightColumnCheckbox.maxWidth = 450;
+   this.cropMarksCheckbox = new CheckBox(this);
+   this.cropMarksCheckbox.text = "Crop marks";
+   this.cropMarksCheckbox.toolTip = "<p>Draw crop marks in the inner line color " +
+      "into the bleed margin.</p>";
+   this.cropMarksCheckbox.onClick = () => {
+      printSettings.cropMarks = this.cropMarksCheckbox.checked;
+   };
+
+   this.minFontSizeLabel = new Label(this);
+   this.minFontSizeLabel.text = "Min. font (pt):";
+
+   this.minFontSizeSpinBox = new SpinBox(this);
+   this.minFontSizeSpinBox.setRange(1, 24);
+   this.minFontSizeSpinBox.toolTip = "<p>A warning is written if a font is smaller " +
+      "than this size at the DPI of the print layout.</p>";
+   this.minFontSizeSpinBox.onValueUpdated = (value) => {
+      printSettings.minFontSize = value;
+   };
 
+   // show the print settings in the print layout controls
+   this.updatePrintControls = function() {
+      var custom = printSettings.paper == "custom";
+
+      this.printCheckbox.checked = printSettings.enabled;
+      this.paper_ComboBox.currentItem = Math.max(0,
+         paperSizes.findIndex((size) => size.id == printSettings.paper));
+      this.paperWidthSpinBox.value = printSettings.customWidth;
+      this.paperHeightSpinBox.value = printSettings.customHeight;
+      this.dpiSpinBox.value = printSettings.dpi;
+      this.bleedSpinBox.value = printSettings.bleed;
+      this.cropMarksCheckbox.checked = printSettings.cropMarks;
+      this.minFontSizeSpinBox.value = printSettings.minFontSize;
+
+      this.paper_ComboBox.enabled = printSettings.enabled;
+      this.paperWidthSpinBox.enabled = printSettings.enabled && custom;
+      this.paperHeightSpinBox.enabled = printSettings.enabled && custom;
+      this.dpiSpinBox.enabled = printSettings.enabled;
+      this.bleedSpinBox.enabled = printSettings.enabled;
+      this.cropMarksCheckbox.enabled = printSettings.enabled;
+      this.minFontSizeSpinBox.enabled = printSettings.enabled;
+   };
+   this.updatePrintControls();
+
+   // add the export controls
+   this.exportCheckbox = new CheckBox(this);
+   this.exportCheckbox.text = "Export renditions";
+   this.exportCheckbox.checked = exportSettings.enabled;
+   this.exportCheckbox.toolTip = "<p>Write renditions like a full resolution TIFF " +
+      "or resampled JPEG files when the image is framed.</p>";
+   this.exportCheckbox.onClick = () => {
+      exportSettings.enabled = this.exportCheckbox.checked;
+   };
 
-   if (annotationFrameParameters.rightColumn)
-     this.rightColumnCheckbox.checked = true;
-   else
-     this.rightColumnCheckbox.checked = false;
+   this.renditionsButton = new PushButton(this);
+   this.renditionsButton.text = "Renditions...";
+   this.renditionsButton.onClick = () => {
+      (new renditionsDialog).execute();
+   };
 
-   this.rightColumnCheckbox.onClick = () => {
-      if (this.rightColumnCheckbox.checked == true) {
-         annotationFrameParameters.rightColumn = true;
-         //enable right text boxes
-         this.bottomRightText1.enabled = true;
-         this.bottomRightText2.enabled = true;
-         this.bottomRightText3.enabled = true;
+   // add the batch button to frame image files with the current settings
+   this.batchRequested = false;
 
-      }
-      else {
-         annotationFrameParameters.rightColumn = false;
-         //disable right text boxes
-         this.bottomRightText1.enabled = false;
-         this.bottomRightText2.enabled = false;
-         this.bottomRightText3.enabled = false;
-      }
-      // count nr of columns
-      annotationFrameParameters.nrOfColumns = 0;
-      if (annotationFrameParameters.leftColumn)
-         annotationFrameParameters.nrOfColumns++;
-      if (annotationFrameParameters.centerColumn)
-         annotationFrameParameters.nrOfColumns++;
-      if (annotationFrameParameters.rightColumn)
-         annotationFrameParameters.nrOfColumns++;
-   }
+   this.batchButton = new PushButton(this);
+   this.batchButton.text = "Batch...";
+   this.batchButton.toolTip = "<p>Frame a list of image files or a directory " +
+      "with the current settings.</p>";
+   this.batchButton.onClick = () => {
+      if (!(new batchDialog).execute())
+         return;
+      this.previewTimer.stop();
+      this.batchRequested = true;
+      this.ok();
+   };
 
    // add the cancel button
    this.cancelButton = new PushButton(this);
    this.cancelButton.text = "Cancel";
    this.cancelButton.width = 40;
    this.cancelButton.onClick = () => {
+      this.previewTimer.stop();
       this.cancel();
    };
 
@@ -1359,17 +5631,82 @@ function annotationFrameDialog() {
    this.execButton.text = "Execute";
    this.execButton.width = 40;
    this.execButton.onClick = () => {
-      //close renderWindow if it already exists, since dimensions may be wrong
-      if ((typeof(renderWindow) != "undefined") && !renderWindow.isNull)
-         closeTextRenderWindow(renderWindow);
-
-      //create rendewWindow with new dimensions
-      if (!this.imageViewList.currentView.isNull)
-         renderWindow = createTextRenderWindow();
-
+      this.previewTimer.stop();
       this.ok();
    };
 
+   // enable or disable all controls that need a target image
+   this.enableControls = function(enabled) {
+      var i;
+
+      this.imageTitle.enabled = enabled;
+      this.imageSubtitle.enabled = enabled;
+      this.subtitleSizeRatio.enabled = enabled;
+      for (i=0;i<columnBlocks.length;i++)
+         this.columnControls[columnBlocks[i].block].checkbox.enabled = enabled;
+      this.astrometry_ComboBox.enabled = enabled;
+      this.astrometryButton.enabled = enabled;
+      this.coordinateTicksCheckbox.enabled = enabled;
+      this.scaleBar_ComboBox.enabled = enabled;
+      this.compass_ComboBox.enabled = enabled;
+      this.legend_ComboBox.enabled = enabled;
+      this.legendButton.enabled = enabled;
+      this.lengthCheckButton.enabled = enabled;
+      this.verBorderWidthFactor.enabled = enabled;
+      this.horBorderWidthFactor.enabled = enabled;
+      this.verImagePlacement.enabled = enabled;
+      this.frameStyle_ComboBox.enabled = enabled;
+      this.frameColor_Selector.enabled = enabled;
+      this.lineColor_Selector.enabled = enabled;
+      this.titleColor_Selector.enabled = enabled;
+      this.textColor_Selector.enabled = enabled;
+      this.logoSourceEdit.enabled = enabled;
+      this.logoFileButton.enabled = enabled;
+      this.logoViewList.enabled = enabled;
+      this.logoSlot_ComboBox.enabled = enabled;
+      this.logoScale.enabled = enabled;
+      this.logoTint_ComboBox.enabled = enabled;
+
+      //text boxes and number of lines also depend on the column checkboxes
+      this.updateColumnControls();
+   };
+   // show the current settings in all controls
+   this.updateControls = function() {
+      //update text controls
+      this.imageTitle.text = annotationFrameParameters.titleText;
+      this.updateTypographyControls();
+      this.updateColumnControls();
+      //update border geometry controls
+      this.verImagePlacement.setValue(verticalImageOffset);
+      this.verBorderWidthFactor.setValue(frameHeightIncPerc);
+      this.horBorderWidthFactor.setValue(frameWidthIncPerc);
+      //update font controls
+      this.titleFont_ComboBox.editText = titleFont.fontName;
+      this.bottomFont_ComboBox.editText = bottomFont.fontName;
+      //update frame style control
+      this.frameStyle_ComboBox.currentItem =
+         frameStyles.indexOf(findFrameStyle(annotationFrameParameters.frameStyle));
+      //update color controls
+      this.updateColorSelectors();
+      //update logo controls
+      this.updateLogoControls();
+      //update astrometry and legend controls
+      this.updateAstrometryControls();
+      this.updateLegendControls();
+      //update auto-fit and new image controls
+      this.autoFitCheckbox.checked = annotationFrameParameters.autoFitFonts;
+      this.autoFitSameSizeCheckbox.checked = annotationFrameParameters.autoFitSameSize;
+      this.autoFitSameSizeCheckbox.enabled = annotationFrameParameters.autoFitFonts;
+      this.newImageCheckbox.checked = annotationFrameParameters.createNewImage;
+      this.newImageIdEdit.text = annotationFrameParameters.newImageIdPattern;
+      this.newImageIdEdit.enabled = annotationFrameParameters.createNewImage;
+      //update print layout controls
+      this.updatePrintControls();
+      //update export control
+      this.exportCheckbox.checked = exportSettings.enabled;
+   };
+
+
    //horizontal sizer for top labels
    this.topLabelSizer = new HorizontalSizer;
    this.topLabelSizer.add(this.imageLabel);
@@ -1402,6 +5739,72 @@ function annotationFrameDialog() {
    this.middleControlSizer.addStretch();
    this.middleControlSizer.add(this.horBorderWidthFactor);
 
+   //horizontal sizer for text colors
+   this.textColorSizer = new HorizontalSizer;
+   this.textColorSizer.add(this.textColorLabel);
+   this.textColorSizer.addStretch();
+   this.textColorSizer.add(this.titleColor_Selector);
+   this.textColorSizer.addStretch();
+   this.textColorSizer.add(this.textColor_Selector);
+
+   //horizontal sizer for frame style labels
+   this.frameStyleLabelSizer = new HorizontalSizer;
+   this.frameStyleLabelSizer.add(this.frameStyleLabel);
+   this.frameStyleLabelSizer.addStretch();
+   this.frameStyleLabelSizer.add(this.frameColorLabel);
+   this.frameStyleLabelSizer.addStretch();
+   this.frameStyleLabelSizer.add(this.lineColorLabel);
+
+   //horizontal sizer for frame style controls
+   this.frameStyleSizer = new HorizontalSizer;
+   this.frameStyleSizer.add(this.frameStyle_ComboBox);
+   this.frameStyleSizer.addStretch();
+   this.frameStyleSizer.add(this.frameColor_Selector);
+   this.frameStyleSizer.addStretch();
+   this.frameStyleSizer.add(this.lineColor_Selector);
+
+   // print layout sizer
+   this.printSizer = new HorizontalSizer;
+   this.printSizer.spacing = 4;
+   this.printSizer.add(this.printCheckbox);
+   this.printSizer.addSpacing(8);
+   this.printSizer.add(this.paper_ComboBox);
+   this.printSizer.add(this.paperWidthSpinBox);
+   this.printSizer.add(this.paperSizeLabel);
+   this.printSizer.add(this.paperHeightSpinBox);
+   this.printSizer.add(this.paperUnitLabel);
+   this.printSizer.addSpacing(8);
+   this.printSizer.add(this.dpiLabel);
+   this.printSizer.add(this.dpiSpinBox);
+   this.printSizer.addSpacing(8);
+   this.printSizer.add(this.bleedLabel);
+   this.printSizer.add(this.bleedSpinBox);
+   this.printSizer.addSpacing(8);
+   this.printSizer.add(this.cropMarksCheckbox);
+   this.printSizer.addSpacing(8);
+   this.printSizer.add(this.minFontSizeLabel);
+   this.printSizer.add(this.minFontSizeSpinBox);
+   this.printSizer.addStretch();
+
+   // logo sizer
+   this.logoSizer = new HorizontalSizer;
+   this.logoSizer.spacing = 8;
+   this.logoSizer.add(this.logoLabel);
+   this.logoSizer.add(this.logoSourceEdit, 100);
+   this.logoSizer.add(this.logoFileButton);
+   this.logoSizer.add(this.logoViewList);
+   this.logoSizer.add(this.logoSlot_ComboBox);
+   this.logoSizer.add(this.logoScale);
+   this.logoSizer.add(this.logoTint_ComboBox);
+
+   //horizontal sizer for the filter legend
+   this.legendSizer = new HorizontalSizer;
+   this.legendSizer.spacing = 8;
+   this.legendSizer.add(this.legendLabel);
+   this.legendSizer.add(this.legend_ComboBox);
+   this.legendSizer.add(this.legendButton);
+   this.legendSizer.addStretch();
+
    // horizontal sizer for image title text box
    this.imageTitleSizer = new HorizontalSizer;
    this.imageTitleSizer.addStretch();
@@ -1410,86 +5813,178 @@ function annotationFrameDialog() {
    this.imageTitleSizer.add(this.lengthCheckButton);
    this.imageTitleSizer.addStretch();
 
-   // horizontal sizer for image mockup
+   // subtitle sizer
+   this.imageSubtitleSizer = new HorizontalSizer;
+   this.imageSubtitleSizer.addStretch();
+   this.imageSubtitleSizer.add(this.imageSubtitle);
+   this.imageSubtitleSizer.spacing = 8;
+   this.imageSubtitleSizer.add(this.subtitleFont_ComboBox);
+   this.imageSubtitleSizer.addStretch();
+
+   // typography sizers of title and subtitle
+   this.typographySizer = new VerticalSizer;
+   this.typographySizer.spacing = 4;
+   for (var i = 0; i < typographyFonts.length; i++) {
+      let controls = this.typographyControls[typographyFonts[i].id];
+
+      controls.sizer = new HorizontalSizer;
+      controls.sizer.spacing = 8;
+      controls.sizer.add(controls.label);
+      controls.sizer.add(controls.boldCheckbox);
+      controls.sizer.add(controls.italicCheckbox);
+      if (controls.shadowCheckbox != undefined)
+         controls.sizer.add(controls.shadowCheckbox);
+      controls.sizer.addSpacing(16);
+      controls.sizer.add(controls.spacingLabel);
+      controls.sizer.add(controls.spacingSpinBox);
+      if (typographyFonts[i].id == "subtitle") {
+         controls.sizer.addSpacing(16);
+         controls.sizer.add(this.subtitleSizeRatio);
+      }
+      if (controls.sizeControl != undefined) {
+         controls.sizer.addSpacing(16);
+         controls.sizer.add(controls.sizeControl);
+      }
+      controls.sizer.addStretch();
+
+      this.typographySizer.add(controls.sizer);
+   }
+
+   // horizontal sizer for image preview
    this.imageViewBoxSizer = new HorizontalSizer;
-   this.imageViewBoxSizer.addStretch();
-   this.imageViewBoxSizer.add(this.imageViewBox);
-   this.imageViewBoxSizer.addStretch();
-
-   //horizontal sizer for bottom textbox labels
-   this.textBoxLabelSizer = new HorizontalSizer;
-   this.textBoxLabelSizer.add(this.bottomLeftTextLabel);
-   this.textBoxLabelSizer.addStretch();
-   this.textBoxLabelSizer.add(this.bottomCenterTextLabel);
-   this.textBoxLabelSizer.addStretch();
-   this.textBoxLabelSizer.add(this.bottomRightTextLabel);
-
-   //horizontal sizer for bottom textboxes
-   this.textBoxSizer1 = new HorizontalSizer;
-   this.textBoxSizer1.add(this.bottomLeftText1);
-   this.textBoxSizer1.addStretch();
-   this.textBoxSizer1.add(this.bottomCenterText1);
-   this.textBoxSizer1.addStretch();
-   this.textBoxSizer1.add(this.bottomRightText1);
-
-   //horizontal sizer for bottom textboxes
-   this.textBoxSizer2 = new HorizontalSizer;
-   this.textBoxSizer2.add(this.bottomLeftText2);
-   this.textBoxSizer2.addStretch();
-   this.textBoxSizer2.add(this.bottomCenterText2);
-   this.textBoxSizer2.addStretch();
-   this.textBoxSizer2.add(this.bottomRightText2);
-
-   //horizontal sizer for bottom textboxes
-   this.textBoxSizer3 = new HorizontalSizer;
-   this.textBoxSizer3.add(this.bottomLeftText3);
-   this.textBoxSizer3.addStretch();
-   this.textBoxSizer3.add(this.bottomCenterText3);
-   this.textBoxSizer3.addStretch();
-   this.textBoxSizer3.add(this.bottomRightText3);
-
-   //horizontal sizer for center column checkbox
+   this.imageViewBoxSizer.add(this.imageViewBox, 100);
+
+   //horizontal sizer with one vertical sizer per bottom column
    this.columnSizer = new HorizontalSizer;
-   this.columnSizer.add(this.leftColumnCheckbox);
-   this.columnSizer.addStretch();
-   this.columnSizer.add(this.centerColumnCheckbox);
-   this.columnSizer.addStretch();
-   this.columnSizer.add(this.rightColumnCheckbox);
+   for (var i = 0; i < columnBlocks.length; i++) {
+      let controls = this.columnControls[columnBlocks[i].block];
+
+      controls.linesSizer = new HorizontalSizer;
+      controls.linesSizer.add(controls.checkbox);
+      controls.linesSizer.addStretch();
+      controls.linesSizer.add(controls.linesLabel);
+      controls.linesSizer.addSpacing(4);
+      controls.linesSizer.add(controls.linesSpinBox);
+
+      controls.sizer = new VerticalSizer;
+      controls.sizer.add(controls.label);
+      controls.sizer.addSpacing(8);
+      controls.sizer.add(controls.linesSizer);
+      for (let line = 0; line < maxLinesPerColumn; line++) {
+         let lineSizer = new HorizontalSizer;
+         lineSizer.add(controls.textEdits[line]);
+         lineSizer.addSpacing(4);
+         lineSizer.add(controls.styleButtons[line]);
+
+         controls.sizer.addSpacing(4);
+         controls.sizer.add(lineSizer);
+      }
+      controls.sizer.addStretch();
+
+      if (i > 0)
+         this.columnSizer.addStretch();
+      this.columnSizer.add(controls.sizer);
+   }
+
+   //horizontal sizer for the astrometric information
+   this.astrometrySizer = new HorizontalSizer;
+   this.astrometrySizer.add(this.astrometryLabel);
+   this.astrometrySizer.addSpacing(8);
+   this.astrometrySizer.add(this.astrometry_ComboBox);
+   this.astrometrySizer.addSpacing(8);
+   this.astrometrySizer.add(this.astrometryButton);
+   this.astrometrySizer.addSpacing(16);
+   this.astrometrySizer.add(this.coordinateTicksCheckbox);
+   this.astrometrySizer.addSpacing(16);
+   this.astrometrySizer.add(this.scaleBarLabel);
+   this.astrometrySizer.addSpacing(8);
+   this.astrometrySizer.add(this.scaleBar_ComboBox);
+   this.astrometrySizer.addSpacing(16);
+   this.astrometrySizer.add(this.compassLabel);
+   this.astrometrySizer.addSpacing(8);
+   this.astrometrySizer.add(this.compass_ComboBox);
+   this.astrometrySizer.addStretch();
+
+   //horizontal sizer for auto-fit options
+   this.autoFitSizer = new HorizontalSizer;
+   this.autoFitSizer.add(this.autoFitCheckbox);
+   this.autoFitSizer.addSpacing(16);
+   this.autoFitSizer.add(this.autoFitSameSizeCheckbox);
+   this.autoFitSizer.addStretch();
+   this.autoFitSizer.add(this.exportCheckbox);
+   this.autoFitSizer.addSpacing(8);
+   this.autoFitSizer.add(this.renditionsButton);
 
    //horizontal sizer for execute button
    this.executionSizer = new HorizontalSizer;
+   this.executionSizer.add(this.newInstanceButton);
+   this.executionSizer.addSpacing(8);
+   this.executionSizer.add(this.newImageCheckbox);
+   this.executionSizer.addSpacing(8);
+   this.executionSizer.add(this.newImageIdLabel);
+   this.executionSizer.addSpacing(4);
+   this.executionSizer.add(this.newImageIdEdit);
    this.executionSizer.addStretch();
+   this.executionSizer.add(this.reopenCheckbox);
+   this.executionSizer.addSpacing(8);
+   this.executionSizer.add(this.batchButton);
+   this.executionSizer.addSpacing(8);
    this.executionSizer.add(this.cancelButton);
    this.executionSizer.addSpacing(8);
    this.executionSizer.add(this.execButton);
 
+   // preset sizer
+   this.presetSizer = new HorizontalSizer;
+   this.presetSizer.spacing = 8;
+   this.presetSizer.add(this.presetLabel);
+   this.presetSizer.add(this.preset_ComboBox, 100);
+   this.presetSizer.add(this.presetSaveButton);
+   this.presetSizer.add(this.presetLoadButton);
+   this.presetSizer.add(this.presetRenameButton);
+   this.presetSizer.add(this.presetDeleteButton);
+   this.presetSizer.add(this.presetDefaultButton);
+
    // vertical sizer
    this.sizer = new VerticalSizer;
    this.sizer.margin = 8;
    this.sizer.add(this.title);
    this.sizer.addSpacing(8);
+   this.sizer.add(this.presetSizer);
+   this.sizer.addSpacing(8);
    this.sizer.add(this.topLabelSizer);
    this.sizer.addSpacing(8);
    this.sizer.add(this.topControlSizer);
    this.sizer.addSpacing(8);
+   this.sizer.add(this.textColorSizer);
+   this.sizer.addSpacing(8);
    this.sizer.add(this.middleLabelSizer);
    this.sizer.addSpacing(8);
    this.sizer.add(this.middleControlSizer);
    this.sizer.addSpacing(8);
-   this.sizer.add(this.imageTitleSizer);
+   this.sizer.add(this.frameStyleLabelSizer);
    this.sizer.addSpacing(8);
-   this.sizer.add(this.imageViewBoxSizer);
+   this.sizer.add(this.frameStyleSizer);
    this.sizer.addSpacing(8);
-   this.sizer.add(this.textBoxLabelSizer);
+   this.sizer.add(this.logoSizer);
    this.sizer.addSpacing(8);
-   this.sizer.add(this.textBoxSizer1);
-   this.sizer.addSpacing(4);
-   this.sizer.add(this.textBoxSizer2);
+   this.sizer.add(this.legendSizer);
+   this.sizer.addSpacing(8);
+   this.sizer.add(this.imageTitleSizer);
    this.sizer.addSpacing(4);
-   this.sizer.add(this.textBoxSizer3);
+   this.sizer.add(this.imageSubtitleSizer);
+   this.sizer.addSpacing(8);
+   this.sizer.add(this.typographySizer);
+   this.sizer.addSpacing(8);
+   this.sizer.add(this.imageViewBoxSizer, 100);
    this.sizer.addSpacing(8);
    this.sizer.add(this.columnSizer);
    this.sizer.addSpacing(8);
+   this.sizer.add(this.astrometrySizer);
+   this.sizer.addSpacing(8);
+   this.sizer.add(this.autoFitSizer);
+   this.sizer.addSpacing(8);
+   this.sizer.add(this.printSizer);
+   this.sizer.addSpacing(8);
    this.sizer.add(this.executionSizer)
    this.sizer.addStretch();
 }
@@ -1498,11 +5993,667 @@ function annotationFrameDialog() {
 annotationFrameDialog.prototype = new Dialog;
 
 
+/*
+ * executeAnnotationFrame
+ * stores the settings in the FITS header and frames the image, or a new copy of it,
+ * then exports the enabled renditions
+ * PARAMETERS:
+    * imageView: target image view, header must hold its FITS keywords
+    * removeOldFrame: true to replace a frame added before by this script
+ * RETURNS:
+    * view of the framed image, the new image if createNewImage is set
+ */
+function executeAnnotationFrame(imageView, removeOldFrame) {
+   //all processing steps are applied to a hidden copy, the target image is only
+   //changed once the framing has succeeded
+   var workingWindow = createUnframedCopy(imageView, removeOldFrame);
+   if (removeOldFrame && readFramedRegion(imageView))
+      Console.writeln("The frame added before to " + imageView.id +
+         " is replaced by the new frame.");
+
+   var unframedWindow = undefined;
+   var framedView = imageView;
+
+   try {
+      //renditions are framed from copies of the unframed image
+      if (exportSettings.enabled)
+         unframedWindow = duplicateImageWindow(workingWindow.mainView,
+            createWindowId("{id}_rendition", imageView));
+
+      frameImage(workingWindow.mainView);
+
+      if (annotationFrameParameters.createNewImage) {
+         //leave the target image untouched
+         var newWindow = duplicateImageWindow(workingWindow.mainView,
+            createWindowId(annotationFrameParameters.newImageIdPattern, imageView));
+
+         newWindow.show();
+         newWindow.zoomToFit();
+         framedView = newWindow.mainView;
+
+         Console.noteln("Framed image has been created as " + newWindow.mainView.id +
+            ", the image " + imageView.id + " is unchanged.");
+      }
+      else {
+         commitFramedImage(imageView, workingWindow);
+
+         //write message to console to indicate how to go back
+         Console.noteln("The framing has been applied as one step, Undo restores " +
+            "the image as it was before. The parameters are stored in the FITS header, " +
+            "so you can undo, reload the script and re-iterate on the settings.");
+      }
+
+      //no renditions are written if the framing fails
+      if (unframedWindow != undefined)
+         exportRenditions(unframedWindow.mainView, imageView);
+   }
+   finally {
+      workingWindow.forceClose();
+      if (unframedWindow != undefined)
+         unframedWindow.forceClose();
+   }
+
+   return framedView;
+}
+
+/*
+ * createUnframedCopy
+ * creates a hidden copy of an image, a frame added before by this script can be
+ * removed from the copy. The image itself is not changed.
+ * PARAMETERS:
+    * imageView: image id
+    * removeOldFrame: true to remove a frame added before by this script
+ * RETURNS:
+    * ImageWindow of the copy, to be closed by the caller
+    * the copy is closed and the error is thrown again if the frame cannot be removed
+ */
+function createUnframedCopy(imageView, removeOldFrame) {
+   var window = duplicateImageWindow(imageView, createWindowId("{id}_unframed", imageView));
+
+   try {
+      var region = readFramedRegion(window.mainView);
+      if (removeOldFrame && region)
+         removeFrame(window.mainView, region);
+   }
+   catch (error) {
+      window.forceClose();
+      throw error;
+   }
+
+   return window;
+}
+
+/*
+ * frameImage
+ * stores the current settings in the FITS header of an image and frames it,
+ * with the print layout if it is enabled
+ * PARAMETERS:
+    * imageView: image id of the image without frame
+ * RETURNS:
+    * nothing
+ */
+function frameImage(imageView) {
+   var originalWidth = imageView.image.width;
+   var originalHeight = imageView.image.height;
+
+   loadHeader(imageView);
+   calculateAllDimensions(imageView);
+   calculateFonts();
+
+   //store texts in FITS header
+   writeValuesToFITSHeader(imageView);
+
+   //add frame and annotations
+   if (printSettings.enabled)
+      applyPrintLayout(imageView, true);
+   else
+      applyAnnotationFrame(imageView, true);
+
+   writeFramedRegion(imageView, originalWidth, originalHeight);
+}
+
+/*
+ * commitFramedImage
+ * replaces an image by its framed copy in a single history step, including
+ * the FITS header and the resolution
+ * PARAMETERS:
+    * imageView: image id of the target image
+    * framedWindow: ImageWindow of the framed copy
+ * RETURNS:
+    * nothing
+ */
+function commitFramedImage(imageView, framedWindow) {
+   var window = imageView.window;
+
+   imageView.beginProcess();
+   try {
+      imageView.image.assign(framedWindow.mainView.image);
+      window.keywords = framedWindow.keywords;
+      copySettingsProperty(framedWindow.mainView, imageView);
+      window.setResolution(framedWindow.xResolution, framedWindow.yResolution,
+         framedWindow.metricResolution);
+   }
+   catch (error) {
+      //roll back the partly replaced image
+      imageView.cancelProcess();
+      throw error;
+   }
+   imageView.endProcess();
+}
+
+/*
+ * executeInstance
+ * frames the target of a script instance without showing the dialog
+ * PARAMETERS:
+    * none
+ * RETURNS:
+    * nothing
+ */
+function executeInstance() {
+   var imageView;
+
+   if (Parameters.isViewTarget)
+      imageView = Parameters.targetView;
+   else if (!ImageWindow.activeWindow.isNull)
+      imageView = ImageWindow.activeWindow.mainView;
+
+   if ((imageView == undefined) || imageView.isNull) {
+      Console.criticalln("Please specify image window.");
+      return;
+   }
+
+   annotationFrameParameters.imageView = imageView;
+   loadHeader(imageView);
+
+   calculateAllDimensions(imageView);
+   calculateFonts();
+
+   try {
+      executeAnnotationFrame(imageView, true);
+   }
+   catch (error) {
+      Console.criticalln("The image could not be framed and is unchanged: " +
+         error.message);
+   }
+}
+
+/*
+ * exportRendition
+ * frames a copy of the image with the layout of a rendition, resamples and saves it
+ * PARAMETERS:
+    * imageView: unframed image
+    * rendition: entry of exportSettings.renditions
+    * directory: output directory
+    * targetView: image the rendition is named after (optional, default is imageView)
+ * RETURNS:
+    * path of the saved rendition, throws an Error if it could not be saved
+ */
+function exportRendition(imageView, rendition, directory, targetView) {
+   var fixedAspect = (rendition.width > 0) && (rendition.height > 0);
+   var isJPEG = (rendition.extension == ".jpg") || (rendition.extension == ".jpeg");
+   var window = duplicateImageWindow(imageView,
+      createWindowId("{id}_rendition", imageView));
+   var view = window.mainView;
+
+   try {
+      //fixed aspect renditions get a frame with the aspect ratio of their size
+      calculateAllDimensions(view,
+         fixedAspect ? rendition.width / rendition.height : undefined);
+      calculateFonts();
+      applyAnnotationFrame(view, false);
+
+      //calculate size of the rendition
+      var width = view.image.width;
+      var height = view.image.height;
+      if (fixedAspect) {
+         width = rendition.width;
+         height = rendition.height;
+      }
+      else if ((rendition.longEdge > 0) && (rendition.longEdge < Math.max(width, height))) {
+         var scale = rendition.longEdge / Math.max(width, height);
+         width = Math.round(width * scale);
+         height = Math.round(height * scale);
+      }
+
+      if ((width != view.image.width) || (height != view.image.height)) {
+         var P = new Resample;
+         P.mode = Resample.prototype.AbsolutePixels;
+         P.absoluteMode = Resample.prototype.ForceWidthAndHeight;
+         P.xSize = width;
+         P.ySize = height;
+         P.executeOn(view, false);
+      }
+
+      //sample format of the file, JPEG supports 8 bits only
+      var bitDepth = isJPEG ? 8 : rendition.bitDepth;
+      window.setSampleFormat(bitDepth, bitDepth == 32);
+
+      var path = directory + "/" + rendition.pathPattern.replace(/\{id\}/g,
+         (targetView || imageView).id) + rendition.extension;
+      if (!window.saveAs(path, false, false, false, false,
+         isJPEG ? "quality " + rendition.quality : ""))
+         throw new Error("The rendition could not be saved as " + path + ".");
+      return path;
+   }
+   finally {
+      window.forceClose();
+   }
+}
+
+/*
+ * exportRenditions
+ * writes all enabled renditions of exportSettings
+ * PARAMETERS:
+    * imageView: unframed image
+    * targetView: image the renditions are named after and saved next to
+      (optional, default is imageView)
+ * RETURNS:
+    * nothing
+ */
+function exportRenditions(imageView, targetView) {
+   var directory = exportSettings.directory;
+   var i, rendition;
+
+   if (targetView == undefined)
+      targetView = imageView;
+
+   if (directory.length == 0) {
+      var filePath = targetView.window.filePath;
+      if (filePath.length == 0) {
+         Console.criticalln("Renditions are not exported since the image has not been " +
+            "saved to a file. Please select an export directory.");
+         return;
+      }
+      directory = File.extractDrive(filePath) + File.extractDirectory(filePath);
+   }
+
+   for (i=0;i<exportSettings.renditions.length;i++) {
+      rendition = exportSettings.renditions[i];
+      if (!rendition.enabled)
+         continue;
+
+      try {
+         Console.writeln("Rendition " + rendition.label + " has been saved as " +
+            exportRendition(imageView, rendition, directory, targetView));
+      }
+      catch (error) {
+         Console.criticalln("Rendition " + rendition.label + ": " + error.message);
+      }
+   }
+
+   //restore the layout of the image
+   calculateAllDimensions(imageView);
+   calculateFonts();
+}
+
+/*
+ * millimetersToPixels
+ * converts a length on paper to pixels at the DPI of the print layout
+ * PARAMETERS:
+    * length: length in millimeters
+ * RETURNS:
+    * length in pixels
+ */
+function millimetersToPixels(length) {
+   return length / 25.4 * printSettings.dpi;
+}
+
+/*
+ * printCanvasSize
+ * returns the size of the paper in pixels, turned to the orientation of the image
+ * PARAMETERS:
+    * imageView: image to be printed
+ * RETURNS:
+    * {width, height} in pixels without bleed
+ */
+function printCanvasSize(imageView) {
+   var paper = paperSizes.find((size) => size.id == printSettings.paper);
+   var width, height;
+
+   if ((paper == undefined) || (paper.id == "custom")) {
+      width = printSettings.customWidth;
+      height = printSettings.customHeight;
+   }
+   else {
+      width = paper.width;
+      height = paper.height;
+   }
+
+   //landscape images are printed on landscape paper
+   if ((imageView.image.width > imageView.image.height) != (width > height)) {
+      var swap = width;
+      width = height;
+      height = swap;
+   }
+
+   return {width: Math.round(millimetersToPixels(width)),
+      height: Math.round(millimetersToPixels(height))};
+}
+
+/*
+ * printAspectRatio
+ * returns the aspect ratio of the paper of the print layout
+ * PARAMETERS:
+    * imageView: image to be printed
+ * RETURNS:
+    * width / height
+ */
+function printAspectRatio(imageView) {
+   var canvas = printCanvasSize(imageView);
+   return canvas.width / canvas.height;
+}
+
+/*
+ * checkPrintFontSizes
+ * writes a warning for each font that is smaller than the minimum print size
+ * PARAMETERS:
+    * fontSizes: font sizes the texts have been drawn with, see applyAnnotationFrame
+ * RETURNS:
+    * true if all fonts are large enough
+ */
+function checkPrintFontSizes(fontSizes) {
+   var bottomSize = bottomFont.fontSize;
+   var allFit = true;
+   var i, line, points;
+
+   //auto-fit may have reduced the font size of a column,
+   //lines with their own style may be smaller than the column
+   for (i=0;i<fontSizes.columns.length;i++) {
+      for (line=0;line<fontSizes.columns[i].texts.length;line++)
+         bottomSize = Math.min(bottomSize, fontSizes.columns[i].fontSize *
+            fieldStyle(fontSizes.columns[i].block, line).relativeSize);
+   }
+
+   var fonts = [{name: "Title", size: fontSizes.title},
+      {name: "Bottom text", size: bottomSize}];
+
+   if (annotationFrameParameters.subtitleText.length > 0)
+      fonts.push({name: "Subtitle", size: fontSizes.subtitle});
+
+   for (i=0;i<fonts.length;i++) {
+      points = fonts[i].size / printSettings.dpi * 72;
+      if (points < printSettings.minFontSize) {
+         Console.warningln(fonts[i].name + " font size is " + points.toFixed(1) +
+            " pt at " + printSettings.dpi + " DPI, below the minimum of " +
+            printSettings.minFontSize + " pt.");
+         allFit = false;
+      }
+   }
+   return allFit;
+}
+
+/*
+ * drawCropMarks
+ * draws crop marks at the corners of the paper into the bleed margin
+ * PARAMETERS:
+    * imageView: image including the bleed margin
+    * bleed: width of the bleed margin in pixels
+    * color: color as 0xAARRGGBB
+ * RETURNS:
+    * nothing
+ */
+function drawCropMarks(imageView, bleed, color) {
+   var image = imageView.image;
+   var lineWidth = Math.max(1, Math.round(printSettings.dpi / 300));
+   var gap = Math.round(bleed / 3);
+   var size = bleed + lineWidth;   //corner bitmaps reach over the paper edges
+   var i, left, top, edgeX, edgeY, bitmap, G;
+
+   for (i=0;i<4;i++) {
+      left = (i % 2) == 0;
+      top = i < 2;
+
+      //position of the paper corner within the bitmap
+      edgeX = left ? bleed : lineWidth;
+      edgeY = top ? bleed : lineWidth;
+
+      bitmap = new Bitmap(size, size);
+      bitmap.fill(0x00000000);   //transparent
+
+      G = new VectorGraphics(bitmap);
+      G.antialiasing = true;
+      G.pen = new Pen(color, lineWidth);
+      //extensions of the paper edges, leaving a gap to the paper
+      if (left)
+         G.drawLine(0, edgeY, bleed - gap, edgeY);
+      else
+         G.drawLine(edgeX + gap, edgeY, size, edgeY);
+      if (top)
+         G.drawLine(edgeX, 0, edgeX, bleed - gap);
+      else
+         G.drawLine(edgeX, edgeY + gap, edgeX, size);
+      G.end();
+
+      imageView.beginProcess();
+      image.blend(bitmap, new Point(left ? 0 : image.width - size,
+         top ? 0 : image.height - size));
+      imageView.endProcess();
+   }
+}
+
+/*
+ * applyPrintLayout
+ * resamples the image and frames it so that the result matches the paper size of
+ * the print layout at its DPI, then adds the bleed margin and the crop marks
+ * PARAMETERS:
+    * imageView: image id
+    * report: true to write font size warnings to the console
+ * RETURNS:
+    * nothing
+ */
+function applyPrintLayout(imageView, report) {
+   var canvas = printCanvasSize(imageView);
+   var aspectRatio = canvas.width / canvas.height;
+
+   //resample the image so the frame laid out for the paper has the size of the paper
+   calculateAllDimensions(imageView, aspectRatio);
+   var scale = canvas.width / allDimensions.outerFrameWidth;
+   if (Math.abs(scale - 1) > 0.001) {
+      var P = new Resample;
+      P.mode = Resample.prototype.RelativeDimensions;
+      P.xSize = scale;
+      P.ySize = scale;
+      P.executeOn(imageView, false);
+   }
+
+   calculateAllDimensions(imageView, aspectRatio);
+   calculateFonts();
+
+   var fontSizes = applyAnnotationFrame(imageView, report);
+   if (report)
+      checkPrintFontSizes(fontSizes);
+
+   //exact paper size plus bleed margin in the frame color,
+   //the line widths around the image are not resampled
+   var bleed = Math.round(millimetersToPixels(printSettings.bleed));
+   addFrame(imageView, 0.5, 0.5, canvas.width + 2 * bleed,
+      canvas.height + 2 * bleed, frameColors.outerFrame);
+
+   if (printSettings.cropMarks && (bleed > 2))
+      drawCropMarks(imageView, bleed, frameColors.innerLine);
+
+   imageView.window.setResolution(printSettings.dpi, printSettings.dpi, false);
+
+   if (report)
+      Console.writeln("Print layout: " + canvas.width + " x " + canvas.height +
+         " pixels at " + printSettings.dpi + " DPI plus " + bleed + " pixels bleed.");
+}
+
+/*
+ * findBatchFiles
+ * returns the images of a directory that can be framed in batch mode
+ * PARAMETERS:
+    * directory: path of the directory
+ * RETURNS:
+    * array of file paths
+ */
+function findBatchFiles(directory) {
+   var files = [];
+   var find = new FileFind;
+
+   if (find.begin(directory + "/*")) {
+      do {
+         if (!find.isDirectory && (batchExtensions.indexOf(
+            File.extractExtension(find.name).toLowerCase()) >= 0))
+            files.push(directory + "/" + find.name);
+      } while (find.next());
+      find.end();
+   }
+   return files.sort();
+}
+
+/*
+ * createOutputFilePath
+ * returns the path of the framed image of an image file, applying the overwrite policy
+ * PARAMETERS:
+    * filePath: path of the image file
+ * RETURNS:
+    * path of the framed image, empty string if the file exists and is skipped
+ */
+function createOutputFilePath(filePath) {
+   var directory = batchParameters.outputDirectory;
+   if (directory.length == 0)
+      directory = File.extractDrive(filePath) + File.extractDirectory(filePath);
+
+   var extension = batchParameters.outputExtension;
+   if (extension.length == 0)
+      extension = File.extractExtension(filePath);
+
+   var name = batchParameters.fileNamePattern.replace(/\{name\}/g,
+      File.extractName(filePath));
+   var outputPath = directory + "/" + name + extension;
+   var i = 1;
+
+   if (File.exists(outputPath)) {
+      switch (batchParameters.overwritePolicy) {
+         case "skip":
+            return "";
+         case "rename":
+            while (File.exists(outputPath))
+               outputPath = directory + "/" + name + "_" + (i++) + extension;
+            break;
+      }
+   }
+   return outputPath;
+}
+
+/*
+ * frameImageFile
+ * frames an image file and saves the result, throws an Error if this fails
+ * PARAMETERS:
+    * filePath: path of the image file
+    * outputPath: path of the framed image
+    * settings: settings applied before the settings stored in the image are read
+ * RETURNS:
+    * nothing
+ */
+function frameImageFile(filePath, outputPath, settings) {
+   var windows = ImageWindow.open(filePath);
+   var i;
+
+   if (windows.length == 0)
+      throw new Error("The image could not be opened.");
+
+   //only the first image of a file is framed
+   for (i=1;i<windows.length;i++)
+      windows[i].forceClose();
+
+   var window = windows[0];
+   try {
+      //current settings, overridden by the settings stored in the image
+      applySettings(settings);
+      annotationFrameParameters.imageView = window.mainView;
+      loadHeader(window.mainView);
+      retrieveValuesFromFITSHeader(window.mainView);
+
+      //reframe images framed before
+      var region = readFramedRegion(window.mainView);
+      if (region)
+         removeFrame(window.mainView, region);
+
+      //same pipeline as for the target image of the dialog, including the print layout
+      frameImage(window.mainView);
+
+      if (!window.saveAs(outputPath, false, false, false, false))
+         throw new Error("The framed image could not be saved as " + outputPath + ".");
+   }
+   finally {
+      window.forceClose();
+   }
+}
+
+/*
+ * runBatch
+ * frames all images of batchParameters.files and writes a summary to the console
+ * PARAMETERS:
+    * none
+ * RETURNS:
+    * nothing
+ */
+function runBatch() {
+   var settings = getSettings();
+   var imageView = annotationFrameParameters.imageView;
+   var succeeded = 0;
+   var skipped = 0;
+   var failures = [];
+   var i, filePath, outputPath;
+
+   for (i=0;i<batchParameters.files.length;i++) {
+      filePath = batchParameters.files[i];
+      Console.writeln("Framing image " + (i + 1) + " of " +
+         batchParameters.files.length + ": " + filePath);
+
+      outputPath = createOutputFilePath(filePath);
+      if (outputPath.length == 0) {
+         Console.warningln("Skipped, the framed image exists already.");
+         skipped++;
+         continue;
+      }
+
+      try {
+         frameImageFile(filePath, outputPath, settings);
+         Console.writeln("Framed image has been saved as " + outputPath);
+         succeeded++;
+      }
+      catch (error) {
+         Console.criticalln(error.message);
+         failures.push(filePath + ": " + error.message);
+      }
+   }
+
+   //restore the settings of the dialog
+   applySettings(settings);
+   annotationFrameParameters.imageView = imageView;
+
+   Console.noteln("Batch framing finished: " + succeeded + " framed, " +
+      skipped + " skipped, " + failures.length + " failed.");
+   for (i=0;i<failures.length;i++)
+      Console.criticalln("   " + failures[i]);
+}
+
 function main() {
    var repeat = true;
 
    Console.writeln("Start Annotation Frame Script");
 
+   //start with the settings of the default preset
+   var defaultPreset = readDefaultPresetName();
+   if (defaultPreset.length > 0) {
+      if (loadPreset(defaultPreset))
+         Console.writeln("Preset '" + defaultPreset + "' has been loaded.");
+      else
+         Console.warningln("Default preset '" + defaultPreset + "' does not exist.");
+   }
+
+   //settings of a script instance override the default preset
+   importParameters();
+
+   //a script instance applied to a view or executed globally runs without dialog
+   if (Parameters.isViewTarget || Parameters.isGlobalTarget) {
+      executeInstance();
+      return;
+   }
+
   // create and show the dialog
    let dialog = new annotationFrameDialog;
 
@@ -1511,12 +6662,18 @@ function main() {
       var retVal=dialog.execute();
 
       if (retVal == 0) {   //X button was pressed
+         dialog.closeUnframedCopy();
          Console.noteln("Script execution canceled by user request.");
-         closeTextRenderWindow(renderWindow);
          return;
       }
 
-      if (annotationFrameParameters.imageView == undefined) {
+      if (dialog.batchRequested) {
+         //frame the selected image files instead of the target image
+         dialog.closeUnframedCopy();
+         runBatch();
+         repeat = false;
+      }
+      else if (annotationFrameParameters.imageView == undefined) {
          // if no image view is set, reply with error
          Console.criticalln("Please specify image window.");
       }
@@ -1526,62 +6683,25 @@ function main() {
          Console.criticalln("Please specify image window.");
       }
       else {
-         //store texts in FITS header
-         writeValuesToFITSHeader(annotationFrameParameters.imageView);
-
-         //add frame around image
-         addFrameStyle(annotationFrameParameters.imageView, "default");
-
-         //write image title
-         writeImageTitle (annotationFrameParameters.imageView,
-            annotationFrameParameters.titleText);
-
-         //write bottom text fields
-         if (annotationFrameParameters.leftColumn) {
-            writeBottomText(annotationFrameParameters.imageView, 1,
-               annotationFrameParameters.nrOfColumns, "left",
-               annotationFrameParameters.bottomLeftText1);
-            writeBottomText(annotationFrameParameters.imageView, 2,
-               annotationFrameParameters.nrOfColumns, "left",
-               annotationFrameParameters.bottomLeftText2);
-            writeBottomText(annotationFrameParameters.imageView, 3,
-               annotationFrameParameters.nrOfColumns, "left",
-               annotationFrameParameters.bottomLeftText3);
-         }
-
-         if (annotationFrameParameters.centerColumn) {
-            writeBottomText(annotationFrameParameters.imageView, 1,
-               annotationFrameParameters.nrOfColumns, "center",
-               annotationFrameParameters.bottomCenterText1);
-            writeBottomText(annotationFrameParameters.imageView, 2,
-               annotationFrameParameters.nrOfColumns, "center",
-               annotationFrameParameters.bottomCenterText2);
-            writeBottomText(annotationFrameParameters.imageView, 3,
-               annotationFrameParameters.nrOfColumns, "center",
-               annotationFrameParameters.bottomCenterText3);
+         //store settings in the script instance
+         exportParameters();
+
+         //the old frame is replaced if the user has confirmed it in the dialog
+         var imageView = annotationFrameParameters.imageView;
+         var removeOldFrame = dialog.unframedWindow != undefined;
+         dialog.closeUnframedCopy();
+         try {
+            imageView = executeAnnotationFrame(imageView, removeOldFrame);
          }
-
-         if (annotationFrameParameters.rightColumn) {
-            writeBottomText(annotationFrameParameters.imageView, 1,
-               annotationFrameParameters.nrOfColumns, "right",
-               annotationFrameParameters.bottomRightText1);
-            writeBottomText(annotationFrameParameters.imageView, 2,
-               annotationFrameParameters.nrOfColumns, "right",
-               annotationFrameParameters.bottomRightText2);
-            writeBottomText(annotationFrameParameters.imageView, 3,
-               annotationFrameParameters.nrOfColumns, "right",
-               annotationFrameParameters.bottomRightText3);
+         catch (error) {
+            Console.criticalln("The image could not be framed and is unchanged: " +
+               error.message);
          }
 
-         closeTextRenderWindow(renderWindow);
-         //write message to console to indicate how to use the history explorer
-         repeat = false;
-
-         Console.noteln("If you want to optimize the settings of the script, " +
-         "you can use the History Explorer to go back to the state where the" +
-         " parameters have been stored in the FITSHeader operation.\n" +
-         "From there you can reload the script and the parameters will be kept" +
-         "so you can re-iterate on the settings.");
+         //iterate on the framed image, which is the new image if one has been created
+         repeat = dialog.reopenCheckbox.checked;
+         if (repeat)
+            dialog.selectView(imageView, false);
       }
    }
 }